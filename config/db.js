@@ -1,10 +1,30 @@
 import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
 
+// Accepting a quote and reposting a job run in transactions, which need a replica set
+// (a single-node one is enough), and the analytics reports use $median from MongoDB 7
+const MIN_MAJOR_VERSION = 7;
+
+// Refuse to start against a server that would only fail later, on the first transaction or report
+const checkServer = async () => {
+  const admin = mongoose.connection.db.admin();
+  const [hello, build] = await Promise.all([admin.command({ hello: 1 }), admin.buildInfo()]);
+
+  const problems = [];
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    problems.push('it is a standalone server, but transactions need a replica set (a single-node one is enough)');
+  }
+  if (build.versionArray[0] < MIN_MAJOR_VERSION) {
+    problems.push(`it runs MongoDB ${build.version}, but ${MIN_MAJOR_VERSION}.0 or later is needed`);
+  }
+  if (problems.length) throw new Error(`MongoDB at MONGO_URI is not supported: ${problems.join('; ')}`);
+};
 
 export async function connectDB() {
 const uri = process.env.MONGO_URI;
 if (!uri) throw new Error('Missing MONGO_URI');
 mongoose.set('strictQuery', true);
 await mongoose.connect(uri);
-console.log('MongoDB connected');
-}
\ No newline at end of file
+await checkServer();
+logger.info('MongoDB connected');
+}
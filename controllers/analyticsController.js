@@ -0,0 +1,40 @@
+import * as analyticsService from '../services/analyticsService.js'; // Marketplace reporting aggregations
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 90;
+
+// Date range and grouping from the query string; the last 90 days by week unless given
+const parseRange = ({ from, to, granularity = 'week', category, district }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { from: start, to: end, granularity, category, district: district?.toUpperCase() };
+};
+
+const describeRange = ({ from, to, granularity, category, district }) => ({
+  from, to, granularity, category: category || null, district: district || null
+});
+
+// GET /api/analytics/postings - Jobs posted per category per postcode district over time
+export const getPostings = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const series = await analyticsService.postingsByDistrict(range);
+    res.json({ range: describeRange(range), series });
+  } catch (err) {
+    logger.error("Postings analytics error", { err });
+    res.status(500).json({ message: "Failed to fetch posting analytics", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/analytics/outcomes - Acceptance and cancellation rates and median times for jobs posted over time
+export const getOutcomes = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const outcomes = await analyticsService.jobOutcomes(range);
+    res.json({ range: describeRange(range), ...outcomes });
+  } catch (err) {
+    logger.error("Outcome analytics error", { err });
+    res.status(500).json({ message: "Failed to fetch outcome analytics", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
@@ -0,0 +1,80 @@
+import * as jobService from '../services/jobService.js';
+import * as jobHistoryService from '../services/jobHistoryService.js'; // Audit trail database operations
+import { emitJobEvent } from '../services/jobEvents.js';
+import { logger } from '../utils/logger.js';
+
+// Public shape of a history entry
+const formatEntry = (e) => ({
+  version: e.version,
+  action: e.action,
+  actorId: e.actorId,
+  reason: e.reason,
+  changes: e.changes,
+  at: e.at
+});
+
+// GET /api/jobs/:id/history - Every recorded change to a job, oldest first
+export const getJobHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const { entries, total } = await jobHistoryService.findJobHistory(req.params.id, { skip, limit: parseInt(limit) });
+    if (total === 0) return res.status(404).json({ message: "No history found for this job" });
+
+    res.json({
+      jobId: req.params.id,
+      history: entries.map(formatEntry),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Job history fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch job history", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/history/:version/revert - Admin restores a job's content to an earlier version
+export const revertJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+
+    const job = await jobService.findJobById(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const entry = await jobHistoryService.findJobVersion(id, version);
+    if (!entry) return res.status(404).json({ message: "Version not found" });
+    if (!entry.snapshot) return res.status(409).json({ message: `Version ${version} has no content to restore` });
+
+    const updates = Object.fromEntries(
+      jobHistoryService.REVERTIBLE_FIELDS.map(field => [field, entry.snapshot[field] ?? null])
+    );
+    const reason = `Reverted to version ${version}${req.body.reason ? `: ${req.body.reason}` : ''}`;
+    const reverted = await jobHistoryService.withJobHistory('reverted', async (session) => {
+      const updatedJob = await jobService.updateJobById(id, updates, { session });
+      return updatedJob && { before: job, after: updatedJob };
+    }, { actorId: req.user.id, reason });
+    if (!reverted) return res.status(404).json({ message: "Job not found" });
+
+    const { after: updatedJob, entry: recorded } = reverted;
+    await emitJobEvent('job.updated', updatedJob, {
+      actorId: req.user.id,
+      changedFields: recorded ? recorded.changes.map(c => c.field) : [],
+      revertedToVersion: version
+    });
+
+    res.json({
+      message: recorded ? `Job reverted to version ${version}` : `Job already matches version ${version}`,
+      job: updatedJob,
+      version: recorded ? formatEntry(recorded) : null
+    });
+  } catch (err) {
+    logger.error("Job revert error", { err });
+    res.status(500).json({ message: "Failed to revert job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
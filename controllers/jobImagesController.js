@@ -0,0 +1,101 @@
+import * as jobService from '../services/jobService.js';
+import * as jobImageService from '../services/jobImageService.js'; // Gallery database operations
+import { MAX_JOB_IMAGES } from '../models/Job.js';
+import { uploadJobImages, destroyJobImage } from '../utils/imageUpload.js';
+import { withJobHistory } from '../services/jobHistoryService.js';
+import { logger } from '../utils/logger.js';
+
+// Change the gallery and record it in the job's audit trail together; resolves to the updated job or null
+const changeGallery = async (job, actorId, change) => {
+  const recorded = await withJobHistory('images_changed', async (session) => {
+    const updatedJob = await change(session);
+    return updatedJob && { before: job, after: updatedJob };
+  }, { actorId });
+  return recorded?.after || null;
+};
+
+// POST /api/jobs/:id/images - Add one or more images to the gallery
+export const addJobImages = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    if (!req.files?.length) return res.status(400).json({ message: "No images uploaded" });
+    if (job.images.length + req.files.length > MAX_JOB_IMAGES) {
+      return res.status(400).json({ message: `A job can have at most ${MAX_JOB_IMAGES} images` });
+    }
+
+    const captions = [].concat(req.body.captions || []);
+    const images = await uploadJobImages(req.files, captions);
+
+    const updatedJob = await changeGallery(job, req.user.id, (session) => jobImageService.addImages(job, images, { session }));
+    if (!updatedJob) {
+      // Gallery filled up while uploading; don't leave the new files behind
+      await Promise.all(images.map(destroyJobImage));
+      return res.status(409).json({ message: `A job can have at most ${MAX_JOB_IMAGES} images` });
+    }
+
+    res.status(201).json({ message: "Images added", images: updatedJob.images });
+  } catch (err) {
+    logger.error("Add job images error", { err });
+    res.status(500).json({ message: "Failed to add images", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PATCH /api/jobs/:id/images/:imageId - Change a caption or set the cover
+export const updateJobImage = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const updatedJob = await changeGallery(job, req.user.id, (session) => jobImageService.updateImage(job, req.params.imageId, req.body, { session }));
+    if (!updatedJob) return res.status(404).json({ message: "Image not found" });
+
+    res.json({ message: "Image updated", images: updatedJob.images });
+  } catch (err) {
+    logger.error("Update job image error", { err });
+    res.status(500).json({ message: "Failed to update image", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// DELETE /api/jobs/:id/images/:imageId - Remove one image
+export const removeJobImage = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const image = job.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ message: "Image not found" });
+
+    const updatedJob = await changeGallery(job, req.user.id, (session) => jobImageService.removeImage(job, image._id, { session }));
+    if (!updatedJob) return res.status(404).json({ message: "Image not found" });
+    await destroyJobImage(image);
+
+    res.json({ message: "Image removed", images: updatedJob.images });
+  } catch (err) {
+    logger.error("Remove job image error", { err });
+    res.status(500).json({ message: "Failed to remove image", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PUT /api/jobs/:id/images/order - Reorder the gallery
+export const reorderJobImages = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const { order } = req.body;
+    const current = job.images.map(img => String(img._id)).sort();
+    if (order.length !== current.length || [...order].sort().some((id, i) => id !== current[i])) {
+      return res.status(400).json({ message: "Order must list every image ID exactly once" });
+    }
+
+    const updatedJob = await changeGallery(job, req.user.id, (session) => jobImageService.reorderImages(job, order, { session }));
+    if (!updatedJob) return res.status(409).json({ message: "Gallery changed, please retry" });
+
+    res.json({ message: "Images reordered", images: updatedJob.images });
+  } catch (err) {
+    logger.error("Reorder job images error", { err });
+    res.status(500).json({ message: "Failed to reorder images", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
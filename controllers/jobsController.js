@@ -1,115 +1,412 @@
 import * as jobService from '../services/jobService.js'; // Functions for database operations
-import { geocodePostcode } from '../services/geoService.js'; // Convert postcodes to coordinates
+import { lookupPostcode } from '../services/geoService.js'; // Convert postcodes to coordinates
 import mongoose from 'mongoose'; // MongoDB ODM for object ID validation
-import cloudinary from "../config/cloudinary.js";
-import Job from '../models/Job.js';
+import Job, { URGENCY_LEVELS, PUBLICLY_VISIBLE, isPubliclyVisible, atVersion } from '../models/Job.js';
+import { JOB_CATEGORIES } from '../middleware/validation.js';
+import { uploadJobImages, destroyJobImage } from '../utils/imageUpload.js';
+import { normaliseCover } from '../services/jobImageService.js';
+import { getSearchTerms, highlight } from '../utils/highlight.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { jobEtag, jobListEtag, etagMatches } from '../utils/etag.js';
+import { distanceMeters } from '../utils/geo.js';
+import { createExportStream, EXPORT_FIELDS } from '../utils/jobExport.js';
+import { pipeline } from 'stream/promises';
+import * as jobImportService from '../services/jobImportService.js';
+import { notifyMatchingSearches } from '../services/notificationService.js';
+import { emitJobEvent } from '../services/jobEvents.js';
+import { canTransition, transitionJob, expiryDateFor } from '../services/jobLifecycle.js';
+import { repostJob as repostExpiredJob } from '../services/jobExpiryService.js';
+import * as jobHistoryService from '../services/jobHistoryService.js';
+import { purgeDateFor } from '../services/jobRetentionService.js';
+import { findRatingSummary } from '../services/reviewService.js';
+import { moderateContent } from '../services/moderationService.js';
+import { logger } from '../utils/logger.js';
+
+// Build the getJobs filter from the query string
+const buildListFilter = ({ category, budgetMin, budgetMax, urgency, availableFrom, availableTo }) => {
+  const filter = { status: "open", visibility: PUBLICLY_VISIBLE };
+  if (category) filter.category = category;
+
+  // Budget band: the job's range must overlap the requested one
+  if (budgetMin !== undefined) filter['budget.max'] = { $gte: parseInt(budgetMin) };
+  if (budgetMax !== undefined) filter['budget.min'] = { $lte: parseInt(budgetMax) };
+
+  if (urgency) filter.urgency = { $in: urgency.split(',').map(u => u.trim()) };
+
+  // Free time: a job matches if any window overlaps it, or if it has no windows (flexible timing)
+  if (availableFrom || availableTo) {
+    const overlap = {};
+    if (availableTo) overlap.start = { $lt: new Date(availableTo) };
+    if (availableFrom) overlap.end = { $gt: new Date(availableFrom) };
+    filter.$or = [{ availability: { $elemMatch: overlap } }, { availability: { $size: 0 } }];
+  }
+
+  return filter;
+};
+
+// Look up the search centre for a postcode, describing whether the location filter could be applied
+const resolveLocationFilter = async (postcode, radius) => {
+  if (!postcode) return { center: null, locationFilter: { requested: false, applied: false } };
+
+  const lookup = await lookupPostcode(postcode);
+  if (lookup.status === 'ok') {
+    const center = lookup.result;
+    return {
+      center,
+      locationFilter: { requested: true, applied: true, postcode: center.postcode, precision: center.precision, radiusKm: parseInt(radius) }
+    };
+  }
+
+  // Still return results, but say they are not filtered by location
+  return {
+    center: null,
+    locationFilter: {
+      requested: true,
+      applied: false,
+      reason: lookup.status,
+      message: lookup.status === 'unavailable'
+        ? 'Postcode lookup is unavailable, results are not filtered by location'
+        : `Postcode not found: ${postcode}, results are not filtered by location`
+    }
+  };
+};
+
+// Fields a customer can change with updateJob, besides location.postcode
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'budget', 'urgency', 'availability'];
+
+// Admins and the job's own customer and tradesman, the only people who see it while moderation hides it
+const isInvolvedIn = (user, job) => Boolean(user) && (user.role === 'admin' || [job.customerId, job.tradesmanId].includes(user.id));
+
+// A job as listed on the public customer and tradesman pages, without moderation reports,
+// who changed its status, or the service's own bookkeeping
+const toPublicJob = (job) => {
+  const { moderation, statusHistory, importKey, expiryReminderSentAt, deletedAt, deletedBy, __v, ...fields } = job.toObject();
+  return fields;
+};
+
+// Send the ETag, and answer 304 when the client's cached copy is still current
+const notModified = (req, res, etag) => {
+  res.set('ETag', etag);
+  const ifNoneMatch = req.get('If-None-Match');
+  if (!ifNoneMatch || !etagMatches(ifNoneMatch, etag, { weak: true })) return false;
+  res.status(304).end();
+  return true;
+};
+
+// Edits and deletes must say which version they are based on, so one device can't overwrite another's changes
+const checkIfMatch = (req, res, job) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    res.status(428).json({ message: "If-Match header with the job's ETag is required" });
+    return false;
+  }
+  if (!etagMatches(ifMatch, jobEtag(job))) {
+    res.set('ETag', jobEtag(job)).status(412).json({ message: "The job has changed since you loaded it, fetch it again and retry" });
+    return false;
+  }
+  return true;
+};
+
+// A conditional write matched nothing: the job was deleted, or changed after it was checked
+const respondToLostWrite = async (res, id) => {
+  const current = await jobService.findJobById(id);
+  if (!current) return res.status(404).json({ message: "Job not found" });
+  res.set('ETag', jobEtag(current)).status(412).json({ message: "The job has changed since you loaded it, fetch it again and retry" });
+};
 
 export const postJobs = async (req, res) => {
   try {
-    const { title, description, category, location } = req.body;
+    const { title, description, category, location, budget, urgency, availability } = req.body;
 
     if (!title || !description || !category || !location?.postcode) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
+    // Check the text before anything is uploaded; held jobs are saved but hidden until an admin approves them
+    const moderation = moderateContent({ title, description });
+    if (moderation.action === 'reject') {
+      return res.status(422).json({ message: "This job breaks our posting rules", flags: moderation.flags });
+    }
+    const held = moderation.action === 'hold';
+
     // Geocode postcode to get coordinates
-    const geo = await geocodePostcode(location.postcode);
-    if (!geo) {
+    const lookup = await lookupPostcode(location.postcode);
+    if (lookup.status === 'unavailable') {
+      return res.status(503).json({ message: "Postcode lookup is temporarily unavailable, please retry" });
+    }
+    if (lookup.status !== 'ok') {
       return res.status(400).json({ message: `Invalid postcode: ${location.postcode}` });
     }
-
-    // Handle optional image upload
-    let imageData = null;
-    if (req.file) {
-      const uploadRes = await cloudinary.uploader.upload(req.file.path, {
-        folder: "repairo/jobs",
-      });
-      imageData = {
-        public_id: uploadRes.public_id,
-        url: uploadRes.secure_url,
-        originalname: req.file.originalname,
-      };
-    } else if (req.body.image) {
-      // Optional: allow JSON image URL
-      imageData = {
-        url: req.body.image,
+    const geo = lookup.result;
+
+    // Handle optional image uploads, with captions matched to files by position
+    const captions = [].concat(req.body.captions || []);
+    let images = [];
+    if (req.files?.length) {
+      images = await uploadJobImages(req.files, captions);
+    } else if (req.body.images) {
+      // Optional: allow JSON image URLs, as strings or { url, caption }
+      images = [].concat(req.body.images).map(img => ({
+        url: typeof img === 'string' ? img : img.url,
+        caption: typeof img === 'string' ? null : img.caption || null,
         public_id: null,
         originalname: null,
-      };
+      }));
     }
 
     // Create the job
     const newJob = new Job({
-      title,
-      description,
+      title: moderation.fields.title,
+      description: moderation.fields.description,
       category,
-      customerId: req.user?.id || "mock-customer-id",
+      customerId: req.user.id,
       location: {
         type: "Point",
         coordinates: geo.coordinates,
         postcode: geo.postcode,
+        precision: geo.precision,
       },
-      image: imageData,
+      images: normaliseCover(images),
+      budget: jobService.parseBudget(budget),
+      urgency,
+      availability,
+      expiresAt: expiryDateFor(category),
+      visibility: held ? 'pending_review' : 'visible',
+      moderation: { flags: moderation.flags, queuedAt: held ? new Date() : null, publishedAt: held ? null : new Date() },
     });
 
-    await newJob.save();
+    // Saved together with its first history entry; a fresh copy each attempt, in case the transaction is retried
+    let savedJob;
+    try {
+      ({ after: savedJob } = await jobHistoryService.withJobHistory('created', async (session) => {
+        const [created] = await Job.create([newJob.toObject()], { session });
+        return { after: created };
+      }, { actorId: req.user.id }));
+    } catch (err) {
+      // Don't leave uploaded files behind for a job that was never saved
+      await Promise.allSettled(images.map(destroyJobImage));
+      throw err;
+    }
 
-    res.status(201).json(newJob);
+    // Tradesmen and webhook subscribers only hear about a held job once a moderator approves it
+    if (held) {
+      await emitJobEvent('job.held', savedJob, { actorId: req.user.id, flags: moderation.flags });
+    } else {
+      // Alert tradesmen with matching saved searches; a failure here must not fail the post
+      notifyMatchingSearches(savedJob, 'created').catch(err => logger.error("Saved search alert error", { err }));
+      await emitJobEvent('job.created', savedJob, { actorId: req.user.id });
+    }
+
+    res.status(201).json(savedJob);
   } catch (err) {
-    console.error("Error posting job:", err);
+    logger.error("Error posting job", { err });
     res.status(500).json({ message: "Server error posting job" });
   }
 };
 
-// GET /api/jobs - List jobs with optional filters
+// GET /api/jobs - List jobs with optional filters, keyword search, sort and cursor pagination
 export const getJobs = async (req, res) => {
   try {
-    const { category, radius = 5, location: postcode, page = 1, limit = 10 } = req.query;
-    const filter = { status: "open" };
-    if (category) filter.category = category;
+    const { radius = 5, location: postcode, page = 1, limit = 10, q } = req.query;
+    const filter = buildListFilter(req.query);
 
+    let sort = req.query.sort || (q ? 'relevance' : 'newest');
     const skip = (parseInt(page) - 1) * parseInt(limit);
     let jobs = [], totalCount = 0;
 
-    if (postcode) {
-      const geo = await geocodePostcode(postcode);
-      if (geo) {
-        jobs = await jobService.findJobsNearLocation(geo.coordinates, parseInt(radius) * 1000, filter, skip, parseInt(limit));
-        totalCount = await jobService.countJobsNearLocation(geo.coordinates, parseInt(radius) * 1000, filter);
-      } else {
-        jobs = await jobService.findJobs(filter, skip, parseInt(limit));
-        totalCount = await jobService.countJobs(filter);
-      }
+    const { center, locationFilter } = await resolveLocationFilter(postcode, radius);
+    if (postcode && !center && sort === 'distance') sort = 'newest';
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, sort);
+      if (!cursor) return res.status(400).json({ message: "Invalid or expired cursor" });
+    }
+    const options = { q, sort, cursor };
+
+    if (center) {
+      jobs = await jobService.findJobsNearLocation(center.coordinates, parseInt(radius) * 1000, filter, skip, parseInt(limit), options);
+      totalCount = await jobService.countJobsNearLocation(center.coordinates, parseInt(radius) * 1000, filter, options);
     } else {
-      jobs = await jobService.findJobs(filter, skip, parseInt(limit));
-      totalCount = await jobService.countJobs(filter);
+      jobs = await jobService.findJobs(filter, skip, parseInt(limit), options);
+      totalCount = await jobService.countJobs(filter, options);
     }
 
+    if (notModified(req, res, jobListEtag(jobs, { totalCount, locationFilter }))) return;
+
+    const terms = q ? getSearchTerms(q) : [];
+    const { field } = jobService.JOB_SORTS[sort];
+    const last = jobs[jobs.length - 1];
+
+    // Keyword searches near a location have no $geoNear distance, so work it out here
+    const distanceKm = (j) => {
+      if (!center) return undefined;
+      const meters = j.distance ?? distanceMeters(center.coordinates, j.location.coordinates);
+      return Math.round(meters / 10) / 100;
+    };
+
     res.json({
       jobs: jobs.map(j => ({
         id: j._id,
         title: j.title,
         description: j.description,
         location: j.location.postcode,
+        distanceKm: distanceKm(j),
         status: j.status,
         customerId: j.customerId,
         category: j.category,
-        image: j.image?.url || null,
-        createdAt: j.createdAt
+        budget: j.budget || null,
+        urgency: j.urgency,
+        availability: j.availability || [],
+        image: (j.images?.find(img => img.isCover) || j.images?.[0])?.url || null,
+        imageCount: j.images?.length || 0,
+        createdAt: j.createdAt,
+        ...(q && {
+          relevance: j.score,
+          highlights: {
+            title: highlight(j.title, terms),
+            description: highlight(j.description, terms)
+          }
+        })
       })),
       pagination: {
-        page: parseInt(page),
+        page: cursor ? undefined : parseInt(page),
         limit: parseInt(limit),
         total: totalCount,
-        pages: Math.ceil(totalCount / parseInt(limit))
-      }
+        pages: Math.ceil(totalCount / parseInt(limit)),
+        sort,
+        nextCursor: jobs.length === parseInt(limit)
+          ? encodeCursor(sort, field.split('.').reduce((obj, key) => obj?.[key], last), last._id)
+          : null
+      },
+      locationFilter
     });
   } catch (err) {
-    console.error('Job fetch error:', err);
+    logger.error('Job fetch error', { err });
     res.status(500).json({ message: "Failed to fetch jobs", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
   }
 };
 
+// GET /api/jobs/facets - Open job counts per category and urgency for the current search
+export const getJobFacets = async (req, res) => {
+  try {
+    const { radius = 5, location: postcode, q } = req.query;
+    const filter = buildListFilter(req.query);
+
+    const { center, locationFilter } = await resolveLocationFilter(postcode, radius);
+    const geo = center ? { coordinates: center.coordinates, maxDistance: parseInt(radius) * 1000 } : undefined;
+    const facets = await jobService.facetJobs(filter, { geo, q });
+
+    // Every option is listed, with zero counts included, so the UI can show them all
+    const withZeros = (options, counts) => options.map(value => ({
+      value,
+      count: counts.find(c => c.value === value)?.count || 0
+    }));
+
+    res.json({
+      total: facets.total,
+      facets: {
+        category: withZeros(JOB_CATEGORIES, facets.category),
+        urgency: withZeros(URGENCY_LEVELS, facets.urgency)
+      },
+      locationFilter
+    });
+  } catch (err) {
+    logger.error('Job facets error', { err });
+    res.status(500).json({ message: "Failed to fetch job facets", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/import - Check (mode=dry-run, the default) or create (mode=commit) jobs from a CSV or NDJSON body
+export const importJobs = async (req, res) => {
+  try {
+    const format = req.is('application/x-ndjson') ? 'ndjson' : 'csv';
+    const commit = req.query.mode === 'commit';
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: "Send the file as the request body with Content-Type text/csv or application/x-ndjson" });
+    }
+
+    let parsed;
+    try {
+      parsed = jobImportService.parseImport(req.body, format);
+    } catch (err) {
+      return res.status(400).json({ message: `Could not read the ${format} file: ${err.message}` });
+    }
+    if (parsed.rows.length === 0) return res.status(400).json({ message: "The file has no rows" });
+    if (parsed.rows.length > jobImportService.IMPORT_MAX_ROWS) {
+      return res.status(413).json({ message: `An import can have at most ${jobImportService.IMPORT_MAX_ROWS} rows` });
+    }
+
+    // Admins can import on behalf of a customer
+    const customerId = req.user.role === 'admin' && req.query.customerId ? req.query.customerId : req.user.id;
+    const report = await jobImportService.importJobs(parsed.rows, { customerId, actorId: req.user.id, commit });
+
+    res.status(commit && report.summary.created > 0 ? 201 : 200).json({
+      mode: commit ? 'commit' : 'dry-run',
+      format,
+      customerId,
+      warnings: parsed.unknownColumns.map(c => `Unknown column ignored: ${c}`),
+      ...report
+    });
+  } catch (err) {
+    logger.error('Job import error', { err });
+    res.status(500).json({ message: "Failed to import jobs", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+const EXPORT_CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' };
+
+// GET /api/jobs/export - Stream jobs as CSV or NDJSON; customers and tradesmen only get their own jobs
+export const exportJobs = async (req, res) => {
+  try {
+    const { format = 'csv', radius = 5, location: postcode, q, status, createdFrom, createdTo } = req.query;
+    const filter = buildListFilter(req.query);
+
+    // Any status unless asked for; exports are mostly about past work
+    if (status) filter.status = { $in: status.split(',').map(s => s.trim()) };
+    else delete filter.status;
+    delete filter.visibility; // Exports are scoped to the caller's own jobs, held or not
+
+    if (createdFrom || createdTo) {
+      filter.createdAt = {};
+      if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+      if (createdTo) filter.createdAt.$lt = new Date(createdTo);
+    }
+
+    if (req.user.role === 'customer') filter.customerId = req.user.id;
+    else if (req.user.role === 'tradesman') filter.tradesmanId = req.user.id;
+    else {
+      if (req.query.customerId) filter.customerId = req.query.customerId;
+      if (req.query.tradesmanId) filter.tradesmanId = req.query.tradesmanId;
+    }
+
+    // An export must never silently widen, so a postcode that can't be used is an error here
+    const { center, locationFilter } = await resolveLocationFilter(postcode, radius);
+    if (postcode && !center) {
+      return res.status(locationFilter.reason === 'unavailable' ? 503 : 400).json({ message: locationFilter.message });
+    }
+    const geo = center ? { coordinates: center.coordinates, maxDistance: parseInt(radius) * 1000 } : undefined;
+
+    const cursor = jobService.streamJobs(filter, { geo, q, fields: EXPORT_FIELDS });
+    res.set({
+      'Content-Type': EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="jobs-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await pipeline(cursor, createExportStream(format), res);
+    } catch (err) {
+      // Headers are already sent, so all we can do is cut the download short
+      logger.error('Job export stream error', { err });
+      res.destroy(err);
+    }
+  } catch (err) {
+    logger.error('Job export error', { err });
+    res.status(500).json({ message: "Failed to export jobs", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
 // GET /api/jobs/:id - Get single job
 export const getJob = async (req, res) => {
   try {
@@ -119,6 +416,13 @@ export const getJob = async (req, res) => {
     const job = await jobService.findJobById(id);
     if (!job) return res.status(404).json({ message: "Job not found" });
 
+    // Held and rejected jobs only exist for the people involved
+    const isInvolved = isInvolvedIn(req.user, job);
+    if (!isPubliclyVisible(job) && !isInvolved) return res.status(404).json({ message: "Job not found" });
+
+    res.vary('Authorization'); // Involved users also see the moderation details
+    if (notModified(req, res, jobEtag(job))) return;
+
     res.json({
       id: job._id,
       title: job.title,
@@ -128,12 +432,26 @@ export const getJob = async (req, res) => {
       customerId: job.customerId,
       tradesmanId: job.tradesmanId,
       category: job.category,
-      image: job.image || null,
+      budget: job.budget,
+      urgency: job.urgency,
+      availability: job.availability,
+      images: job.images,
+      expiresAt: job.expiresAt,
+      repostedFromId: job.repostedFromId,
+      repostedToId: job.repostedToId,
+      visibility: job.visibility || 'visible',
+      ...(isInvolved && job.moderation && {
+        moderation: {
+          flags: job.moderation.flags,
+          decision: job.moderation.decision,
+          decisionReason: job.moderation.decisionReason
+        }
+      }),
       createdAt: job.createdAt,
       updatedAt: job.updatedAt
     });
   } catch (err) {
-    console.error('Single job fetch error:', err);
+    logger.error('Single job fetch error', { err });
     res.status(500).json({ message: "Failed to fetch job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
   }
 };
@@ -147,115 +465,255 @@ export const updateJob = async (req, res) => {
       return res.status(400).json({ message: "Invalid job ID format" });
     }
 
-    const job = await Job.findById(id);
+    const job = await jobService.findJobById(id);
     if (!job) return res.status(404).json({ message: "Job not found" });
+    if (!checkIfMatch(req, res, job)) return;
 
-    console.log("Existing job before update:", job);
-
-    const updates = { ...req.body };
-    const removeImage = updates.removeImage === 'true';
-    console.log("Remove image flag:", removeImage);
-    console.log("Incoming file:", req.file);
-
-    // Delete old image if needed
-    if ((req.file || removeImage) && job.image?.public_id) {
-      console.log("Deleting old image from Cloudinary:", job.image.public_id);
-      const destroyRes = await cloudinary.uploader.destroy(job.image.public_id);
-      console.log("Destroy response:", destroyRes);
-      updates.image = null;
+    // Only the job's own details; status, images, visibility and the rest have their own endpoints
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
     }
-
-    // Upload new image if provided
-    if (req.file) {
-      console.log("Uploading new image...");
-      const uploadRes = await cloudinary.uploader.upload(req.file.path, { folder: "repairo/jobs" });
-      console.log("Upload response:", uploadRes);
-      updates.image = {
-        public_id: uploadRes.public_id,
-        url: uploadRes.secure_url,
-        originalname: req.file.originalname,
-      };
+    const postcode = req.body.location?.postcode;
+
+    // Edited text is checked again, and a rejected job goes back on the queue once it is fixed
+    let held = false;
+    if (updates.title !== undefined || updates.description !== undefined) {
+      const moderation = moderateContent({ title: updates.title, description: updates.description });
+      if (moderation.action === 'reject') {
+        return res.status(422).json({ message: "This job breaks our posting rules", flags: moderation.flags });
+      }
+      if (updates.title !== undefined) updates.title = moderation.fields.title;
+      if (updates.description !== undefined) updates.description = moderation.fields.description;
+      updates['moderation.flags'] = moderation.flags;
+
+      if (moderation.action === 'hold' || job.visibility === 'rejected') {
+        held = job.visibility !== 'pending_review';
+        updates.visibility = 'pending_review';
+        updates['moderation.queuedAt'] = job.moderation?.queuedAt || new Date();
+      }
     }
+    if (updates.budget !== undefined) updates.budget = jobService.parseBudget(updates.budget);
 
-    // Handle postcode update
-    if (updates.location?.postcode) {
-      const geo = await geocodePostcode(updates.location.postcode);
-      if (!geo) {
-        return res.status(400).json({ message: `Postcode not found: ${updates.location.postcode}` });
+    // A new postcode moves the job; coordinates always come from the geocoder
+    if (postcode) {
+      const lookup = await lookupPostcode(postcode);
+      if (lookup.status === 'unavailable') {
+        return res.status(503).json({ message: "Postcode lookup is temporarily unavailable, please retry" });
       }
+      if (lookup.status !== 'ok') {
+        return res.status(400).json({ message: `Postcode not found: ${postcode}` });
+      }
+      const geo = lookup.result;
       updates.location = {
         type: "Point",
         coordinates: geo.coordinates,
         postcode: geo.postcode,
+        precision: geo.precision,
       };
     }
 
-    console.log("Final updates object:", updates);
+    // Only write over the version the client saw, in case it changed during the checks above
+    const recorded = await jobHistoryService.withJobHistory('updated', async (session) => {
+      const updatedJob = await Job.findOneAndUpdate({ _id: id, deletedAt: null, ...atVersion(job.version) }, updates, { new: true, session });
+      return updatedJob && { before: job, after: updatedJob };
+    }, { actorId: req.user.id });
+    if (!recorded) return respondToLostWrite(res, id);
 
-    const updatedJob = await Job.findByIdAndUpdate(id, updates, { new: true });
-    console.log("Updated job:", updatedJob);
+    const { after: updatedJob } = recorded;
+    logger.debug('Job updated', { jobId: updatedJob._id, fields: Object.keys(updates) });
+    await emitJobEvent('job.updated', updatedJob, { actorId: req.user.id, changedFields: Object.keys(updates) });
+    if (held) await emitJobEvent('job.held', updatedJob, { actorId: req.user.id, flags: updatedJob.moderation.flags });
 
-    res.status(200).json({
+    res.set('ETag', jobEtag(updatedJob)).status(200).json({
       message: "Job updated successfully",
       job: updatedJob,
     });
   } catch (err) {
-    console.error("Error updating job:", err);
+    logger.error("Error updating job", { err });
     res.status(500).json({ message: "Server error updating job" });
   }
 };
 
 
-// DELETE /api/jobs/:id - Delete job
+// DELETE /api/jobs/:id - Soft-delete job; it can be restored until the retention purge removes it
 export const deleteJob = async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid job ID format" });
 
-    const job = await Job.findById(id);
+    const job = await jobService.findJobById(id);
     if (!job) return res.status(404).json({ message: "Job not found" });
 
-    // Delete image from Cloudinary if exists
-    if (job.image?.public_id) await cloudinary.uploader.destroy(job.image.public_id);
+    // The tradesman relies on an assigned job staying visible
+    if (job.tradesmanId && req.user.role !== 'admin') {
+      return res.status(409).json({ message: "A job with an assigned tradesman can only be deleted by an admin" });
+    }
+    if (!checkIfMatch(req, res, job)) return;
+
+    const recorded = await jobHistoryService.withJobHistory('deleted', async (session) => {
+      const deletedJob = await jobService.deleteJobById(id, req.user.id, { version: job.version, session });
+      return deletedJob && { before: job, after: deletedJob };
+    }, { actorId: req.user.id });
+    if (!recorded) return respondToLostWrite(res, id);
 
-    await jobService.deleteJobById(id);
-    res.json({ message: "Job deleted successfully" });
+    const { after: deletedJob } = recorded;
+    await emitJobEvent('job.deleted', deletedJob, { actorId: req.user.id });
+    res.json({
+      message: "Job deleted successfully",
+      deletedAt: deletedJob.deletedAt,
+      restorableUntil: purgeDateFor(deletedJob.deletedAt)
+    });
   } catch (err) {
-    console.error("Delete job error:", err);
+    logger.error("Delete job error", { err });
     res.status(500).json({ message: "Failed to delete job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
   }
 };
 
+// POST /api/jobs/:id/restore - Undo a soft delete, for the owner or an admin
+export const restoreJob = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id, { includeDeleted: true });
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    if (req.user.role !== 'admin' && job.customerId !== req.user.id) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" });
+    }
+    if (!job.deletedAt) return res.status(409).json({ message: "Job is not deleted" });
+
+    const recorded = await jobHistoryService.withJobHistory('restored', async (session) => {
+      const restoredJob = await jobService.restoreJobById(job._id, { session });
+      return restoredJob && { before: job, after: restoredJob };
+    }, { actorId: req.user.id });
+    if (!recorded) return res.status(409).json({ message: "Job is not deleted" });
+
+    const { after: restoredJob } = recorded;
+    await emitJobEvent('job.restored', restoredJob, { actorId: req.user.id });
+    res.json({ message: "Job restored", job: restoredJob });
+  } catch (err) {
+    logger.error("Restore job error", { err });
+    res.status(500).json({ message: "Failed to restore job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// Shared handler for the status transition routes
+const handleTransition = (action, successMessage) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await jobService.findJobById(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    // A held or rejected job can't be taken on until moderation approves it
+    if (!isPubliclyVisible(job) && !isInvolvedIn(req.user, job)) return res.status(404).json({ message: "Job not found" });
+
+    if (!canTransition(job.status, action)) {
+      return res.status(409).json({ message: `Cannot ${action} a job that is ${job.status}` });
+    }
+
+    const updatedJob = await transitionJob(job, action, {
+      actorId: req.user.id,
+      reason: req.body.reason || null,
+    });
+    if (!updatedJob) {
+      return res.status(409).json({ message: "Job status changed, please retry" });
+    }
+
+    if (action === 'reopen') {
+      notifyMatchingSearches(updatedJob, 'reopened').catch(err => logger.error("Saved search alert error", { err }));
+    }
+
+    res.json({ message: successMessage, job: updatedJob });
+  } catch (err) {
+    logger.error(`Job ${action} error`, { err });
+    res.status(500).json({ message: `Failed to ${action} job`, error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/accept - Kept for existing clients; a tradesman now takes a job by quoting,
+// and the job is accepted when the customer accepts their quote
+export const acceptJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await jobService.findJobById(id);
+    if (!job || !isPubliclyVisible(job)) return res.status(404).json({ message: "Job not found" });
+
+    res.status(409).json({
+      message: "Jobs are accepted through quotes: submit a quote and the customer can accept it",
+      quotes: `${req.baseUrl}/${id}/quotes`
+    });
+  } catch (err) {
+    logger.error("Job accept error", { err });
+    res.status(500).json({ message: "Failed to accept job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/start - Work has begun
+export const startJob = handleTransition('start', "Job started");
+
+// POST /api/jobs/:id/complete - Work is finished
+export const completeJob = handleTransition('complete', "Job completed");
+
+// POST /api/jobs/:id/cancel - Cancel a job that is not yet completed
+export const cancelJob = handleTransition('cancel', "Job cancelled");
+
+// POST /api/jobs/:id/reopen - Put an accepted or cancelled job back on the market
+export const reopenJob = handleTransition('reopen', "Job reopened");
+
+// POST /api/jobs/:id/repost - List an expired or cancelled job again as a fresh open job
+export const repostJob = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    if (!['expired', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ message: `Only expired or cancelled jobs can be reposted, this job is ${job.status}` });
+    }
+    if (job.repostedToId) {
+      return res.status(409).json({ message: "This job has already been reposted", repostedToId: job.repostedToId });
+    }
+
+    const repost = await repostExpiredJob(job, req.user.id);
+    if (!repost) return res.status(409).json({ message: "Job changed or was already reposted, please retry" });
+
+    if (isPubliclyVisible(repost)) {
+      notifyMatchingSearches(repost, 'created').catch(err => logger.error("Saved search alert error", { err }));
+    }
+    res.status(201).json({ message: "Job reposted", job: repost, repostedFromId: job._id });
+  } catch (err) {
+    logger.error("Job repost error", { err });
+    res.status(500).json({ message: "Failed to repost job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
 // GET /api/jobs/customer/:customerId
 export const getJobsByCustomer = async (req, res) => {
   try {
     const { customerId } = req.params;
-    const jobs = await Job.find({ customerId });
+    const jobs = await jobService.findJobsFor({ customerId, visibility: PUBLICLY_VISIBLE });
 
     if (!jobs || jobs.length === 0) {
       return res.status(404).json({ message: 'No jobs found for this customer' });
     }
 
-    res.json(jobs);
+    res.json(jobs.map(toPublicJob));
   } catch (error) {
-    console.error('Error fetching jobs by customerId:', error);
+    logger.error('Error fetching jobs by customerId', { err: error });
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-// GET /api/jobs/tradesman/:tradesmanId
+// GET /api/jobs/tradesman/:tradesmanId - Jobs assigned to a tradesman, with their rating
 export const getJobsByTradesman = async (req, res) => {
   try {
     const { tradesmanId } = req.params;
-    const jobs = await Job.find({ tradesmanId });
+    const [jobs, rating] = await Promise.all([
+      jobService.findJobsFor({ tradesmanId, visibility: PUBLICLY_VISIBLE }),
+      findRatingSummary(tradesmanId, 'tradesman'),
+    ]);
 
-    if (!jobs || jobs.length === 0) {
-      return res.status(404).json({ message: 'No jobs found for this tradesman' });
-    }
-
-    res.json(jobs);
+    // A tradesman with no jobs on show still has a rating worth showing
+    res.json({ jobs: jobs.map(toPublicJob), rating });
   } catch (error) {
-    console.error('Error fetching jobs by tradesmanId:', error);
+    logger.error('Error fetching jobs by tradesmanId', { err: error });
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
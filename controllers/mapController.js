@@ -0,0 +1,81 @@
+import * as mapService from '../services/mapService.js'; // Bounding box queries and clustering
+import { getOutcode } from '../utils/postcode.js';
+import { envInt } from '../utils/env.js';
+import { PUBLICLY_VISIBLE } from '../models/Job.js';
+import { logger } from '../utils/logger.js';
+
+// Map settings, all overridable from the environment
+const config = {
+  clusterMaxZoom: envInt('MAP_CLUSTER_MAX_ZOOM', 10), // Cluster at this zoom and below
+  cellsPerTile: envInt('MAP_CELLS_PER_TILE', 4),      // Grid cells across one 256px map tile
+  maxFeatures: envInt('MAP_MAX_FEATURES', 500),       // Individual jobs returned above the cluster zoom
+};
+
+// Cell width in degrees, so a cell covers the same screen size at every zoom
+const cellSizeForZoom = (zoom) => 360 / 2 ** zoom / config.cellsPerTile;
+
+// One marker per grid cell, placed at the cell centre
+const clusterFeature = ({ cell: [x, y], count, categories }, cellSize) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [(x + 0.5) * cellSize, (y + 0.5) * cellSize] },
+  properties: { cluster: true, count, categories }
+});
+
+const jobFeature = (job, { coordinates, precision }) => ({
+  type: "Feature",
+  id: String(job._id),
+  geometry: { type: "Point", coordinates },
+  properties: {
+    cluster: false,
+    id: job._id,
+    title: job.title,
+    category: job.category,
+    urgency: job.urgency,
+    budget: job.budget,
+    status: job.status,
+    area: getOutcode(job.location.postcode), // Outward code only, never the full postcode
+    precision,
+    createdAt: job.createdAt
+  }
+});
+
+// GET /api/jobs/map - Open jobs in a bounding box as GeoJSON, clustered at low zoom
+export const getJobsMap = async (req, res) => {
+  try {
+    const bbox = req.query.bbox.split(',').map(Number);
+    const zoom = parseInt(req.query.zoom);
+
+    const filter = { status: "open", visibility: PUBLICLY_VISIBLE };
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.urgency) filter.urgency = { $in: req.query.urgency.split(',').map(u => u.trim()) };
+
+    let features, total, truncated = false;
+    const clustered = zoom <= config.clusterMaxZoom;
+
+    if (clustered) {
+      const cellSize = cellSizeForZoom(zoom);
+      const cells = await mapService.clusterJobsInBounds(bbox, filter, cellSize);
+      features = cells.map(cell => clusterFeature(cell, cellSize));
+      total = cells.reduce((sum, cell) => sum + cell.count, 0);
+    } else {
+      const [jobs, count] = await Promise.all([
+        mapService.findJobsInBounds(bbox, filter, config.maxFeatures),
+        mapService.countJobsInBounds(bbox, filter)
+      ]);
+      const locations = await mapService.publicLocations(jobs);
+      features = jobs.map(job => jobFeature(job, locations.get(String(job._id))));
+      total = count;
+      truncated = count > jobs.length;
+    }
+
+    res.json({
+      type: "FeatureCollection",
+      bbox,
+      features,
+      meta: { zoom, clustered, total, truncated }
+    });
+  } catch (err) {
+    logger.error("Job map error", { err });
+    res.status(500).json({ message: "Failed to fetch jobs for the map", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
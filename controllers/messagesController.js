@@ -0,0 +1,137 @@
+import * as messageService from '../services/messageService.js'; // Message database operations
+import * as jobService from '../services/jobService.js';
+import { uploadJobImages, destroyJobImage } from '../utils/imageUpload.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { logger } from '../utils/logger.js';
+
+const CURSOR_SORT = 'messages';
+
+// Public shape of a message
+const formatMessage = (m) => ({
+  id: m._id,
+  jobId: m.jobId,
+  tradesmanId: m.tradesmanId,
+  senderId: m.senderId,
+  senderRole: m.senderRole,
+  body: m.body,
+  attachments: m.attachments.map(a => ({ id: a._id, url: a.url, originalname: a.originalname })),
+  readBy: m.readBy,
+  createdAt: m.createdAt
+});
+
+// Load the job and work out which thread the request is about
+const loadThread = async (req, res, tradesmanId) => {
+  const job = await jobService.findJobById(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: "Job not found" });
+    return null;
+  }
+
+  const thread = messageService.resolveThread(job, req.user, tradesmanId);
+  if (thread.status) {
+    res.status(thread.status).json({ message: thread.message });
+    return null;
+  }
+  return { job, tradesmanId: thread.tradesmanId };
+};
+
+// POST /api/jobs/:id/messages - Send a message, with optional image attachments
+export const postMessage = async (req, res) => {
+  let attachments = [];
+  try {
+    const thread = await loadThread(req, res, req.body.tradesmanId);
+    if (!thread) return;
+
+    const text = (req.body.body || '').trim();
+    if (!text && !req.files?.length) {
+      return res.status(400).json({ message: "A message needs text or an attachment" });
+    }
+
+    // Tradesmen start threads; the customer can only reply to one
+    if (req.user.role !== 'tradesman' && !(await messageService.threadExists(thread.job._id, thread.tradesmanId))) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    if (req.files?.length) attachments = await uploadJobImages(req.files);
+
+    const message = await messageService.createMessage({
+      jobId: thread.job._id,
+      tradesmanId: thread.tradesmanId,
+      senderId: req.user.id,
+      senderRole: req.user.role,
+      body: text,
+      attachments: attachments.map(({ public_id, url, originalname }) => ({ public_id, url, originalname })),
+    });
+
+    res.status(201).json(formatMessage(message));
+  } catch (err) {
+    // Don't leave uploaded files behind for a message that was never saved
+    await Promise.allSettled(attachments.map(destroyJobImage));
+    logger.error("Message send error", { err });
+    res.status(500).json({ message: "Failed to send message", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/:id/messages - Page through a thread, newest first
+export const getMessages = async (req, res) => {
+  try {
+    const { limit = 30 } = req.query;
+    const thread = await loadThread(req, res, req.query.tradesmanId);
+    if (!thread) return;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, CURSOR_SORT);
+      if (!cursor) return res.status(400).json({ message: "Invalid or expired cursor" });
+    }
+
+    const messages = await messageService.findThreadMessages(thread.job._id, thread.tradesmanId, { cursor, limit: parseInt(limit) });
+    const last = messages[messages.length - 1];
+
+    res.json({
+      jobId: thread.job._id,
+      tradesmanId: thread.tradesmanId,
+      messages: messages.map(formatMessage),
+      pagination: {
+        limit: parseInt(limit),
+        nextCursor: messages.length === parseInt(limit) ? encodeCursor(CURSOR_SORT, last.createdAt, last._id) : null
+      }
+    });
+  } catch (err) {
+    logger.error("Message fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch messages", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/:id/messages/threads - The customer's threads with each tradesman, with unread counts
+export const getThreads = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    let threads = await messageService.findThreads(job._id, req.user.id);
+    // Once accepted, the customer only sees the thread that is still open
+    if (job.status !== 'open' && req.user.role !== 'admin') {
+      threads = threads.filter(t => t.tradesmanId === job.tradesmanId);
+    }
+
+    res.json({ jobId: job._id, threads });
+  } catch (err) {
+    logger.error("Thread fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch threads", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/messages/read - Mark every message in a thread as read by the caller
+export const markRead = async (req, res) => {
+  try {
+    const thread = await loadThread(req, res, req.body.tradesmanId);
+    if (!thread) return;
+
+    const updated = await messageService.markThreadRead(thread.job._id, thread.tradesmanId, req.user.id);
+    res.json({ message: "Messages marked as read", updated });
+  } catch (err) {
+    logger.error("Message read error", { err });
+    res.status(500).json({ message: "Failed to mark messages as read", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
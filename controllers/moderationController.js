@@ -0,0 +1,107 @@
+import * as moderationService from '../services/moderationService.js'; // Rules, reports and the review queue
+import * as jobService from '../services/jobService.js';
+import { isPubliclyVisible } from '../models/Job.js';
+import { emitJobEvent } from '../services/jobEvents.js';
+import { withJobHistory } from '../services/jobHistoryService.js';
+import { notifyMatchingSearches } from '../services/notificationService.js';
+import { logger } from '../utils/logger.js';
+
+// A queued job as an admin sees it
+const formatQueuedJob = (j) => ({
+  id: j._id,
+  title: j.title,
+  description: j.description,
+  category: j.category,
+  status: j.status,
+  customerId: j.customerId,
+  visibility: j.visibility || 'visible',
+  flags: j.moderation?.flags || [],
+  openReports: j.moderation?.openReports || 0,
+  reports: j.moderation?.reports || [],
+  queuedAt: j.moderation?.queuedAt || null,
+  createdAt: j.createdAt
+});
+
+// POST /api/jobs/:id/report - Any signed-in user flags a job for an admin to look at
+export const reportJob = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job || !isPubliclyVisible(job)) return res.status(404).json({ message: "Job not found" });
+    if (job.customerId === req.user.id) {
+      return res.status(400).json({ message: "You cannot report your own job" });
+    }
+
+    const result = await moderationService.reportJob(job, {
+      reporterId: req.user.id,
+      reason: req.body.reason,
+      note: req.body.note
+    });
+    if (!result) return res.status(409).json({ message: "You have already reported this job" });
+
+    if (result.held) await emitJobEvent('job.held', result.job, { reason: 'Reported by users', openReports: result.job.moderation.openReports });
+    res.status(202).json({ message: "Thanks, an admin will review this job" });
+  } catch (err) {
+    logger.error("Job report error", { err });
+    res.status(500).json({ message: "Failed to report job", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/moderation/queue - Held and reported jobs, longest waiting first
+export const getQueue = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { jobs, total } = await moderationService.findModerationQueue(type, skip, parseInt(limit));
+
+    res.json({
+      jobs: jobs.map(formatQueuedJob),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Moderation queue error", { err });
+    res.status(500).json({ message: "Failed to fetch moderation queue", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// Approve or reject a job, making it visible or hiding it
+const handleDecision = (decision, eventType, successMessage) => async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const reason = req.body.reason || null;
+    const recorded = await withJobHistory('updated', async (session) => {
+      const updated = await moderationService.decideJob(job, decision, { reviewedBy: req.user.id, reason, session });
+      return updated && { before: job, after: updated };
+    }, { actorId: req.user.id, reason: reason || successMessage });
+    if (!recorded) return res.status(404).json({ message: "Job not found" });
+
+    const { after: updated } = recorded;
+
+    // Tradesmen and webhook subscribers hear about a job once it is first shown; jobs from before
+    // publishedAt was recorded have none, but those that are already visible were announced when posted
+    const published = !job.moderation?.publishedAt && !isPubliclyVisible(job) && isPubliclyVisible(updated);
+    if (published && updated.status === 'open') {
+      notifyMatchingSearches(updated, 'created').catch(err => logger.error("Saved search alert error", { err }));
+    }
+    await emitJobEvent(eventType, updated, { actorId: req.user.id, reason });
+    if (published) await emitJobEvent('job.created', updated, { actorId: job.customerId, approvedBy: req.user.id });
+
+    res.json({ message: successMessage, id: updated._id, visibility: updated.visibility });
+  } catch (err) {
+    logger.error(`Moderation ${decision} error`, { err });
+    res.status(500).json({ message: "Failed to record moderation decision", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/moderation/jobs/:id/approve - Show a held job, or clear the reports on a visible one
+export const approveJob = handleDecision('approved', 'job.approved', "Job approved");
+
+// POST /api/moderation/jobs/:id/reject - Hide a job; the customer sees the reason and can edit it for another review
+export const rejectJob = handleDecision('rejected', 'job.rejected', "Job rejected");
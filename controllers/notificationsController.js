@@ -0,0 +1,56 @@
+import * as notificationService from '../services/notificationService.js'; // Notification database operations
+import { logger } from '../utils/logger.js';
+
+// GET /api/notifications - List delivered notifications
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const { notifications, total, unread: unreadCount } = await notificationService.findNotifications(req.user.id, {
+      unreadOnly: unread === 'true',
+      skip,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      notifications: notifications.map(n => ({
+        id: n._id,
+        event: n.event,
+        frequency: n.frequency,
+        digestKey: n.digestKey,
+        savedSearchId: n.savedSearchId,
+        job: n.jobId && {
+          id: n.jobId._id,
+          title: n.jobId.title,
+          category: n.jobId.category,
+          status: n.jobId.status,
+          location: n.jobId.location?.postcode
+        },
+        read: Boolean(n.readAt),
+        deliveredAt: n.deliveredAt
+      })),
+      unread: unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Notification fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch notifications", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/notifications/read - Mark some (ids) or all notifications as read
+export const markRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markNotificationsRead(req.user.id, req.body.ids || null);
+    res.json({ message: "Notifications marked as read", updated });
+  } catch (err) {
+    logger.error("Notification update error", { err });
+    res.status(500).json({ message: "Failed to update notifications", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
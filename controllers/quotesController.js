@@ -0,0 +1,142 @@
+import * as quoteService from '../services/quoteService.js'; // Quote database operations
+import * as jobService from '../services/jobService.js';
+import { isPubliclyVisible } from '../models/Job.js';
+import { logger } from '../utils/logger.js';
+
+// Public shape of a quote
+const formatQuote = (q) => ({
+  id: q._id,
+  jobId: q.jobId,
+  tradesmanId: q.tradesmanId,
+  price: q.price,
+  estimatedHours: q.estimatedHours,
+  message: q.message,
+  status: q.status,
+  revisions: q.revisions,
+  createdAt: q.createdAt,
+  updatedAt: q.updatedAt
+});
+
+// POST /api/jobs/:id/quotes - Tradesman submits a quote on an open job
+export const submitQuote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { price, estimatedHours, message } = req.body;
+
+    const job = await jobService.findJobById(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    if (job.status !== 'open') {
+      return res.status(409).json({ message: "Quotes can only be submitted on open jobs" });
+    }
+    if (!isPubliclyVisible(job)) {
+      return res.status(409).json({ message: "This job is not taking quotes while it is under review" });
+    }
+
+    const quote = await quoteService.createQuote({ jobId: job._id, tradesmanId: req.user.id, price, estimatedHours, message });
+    res.status(201).json(formatQuote(quote));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "You already have a pending quote on this job" });
+    }
+    logger.error("Quote submit error", { err });
+    res.status(500).json({ message: "Failed to submit quote", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/:id/quotes - Customer lists and compares quotes; tradesmen only see their own
+export const getQuotes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, sort } = req.query;
+
+    const job = await jobService.findJobById(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const canSeeAll = req.user.role === 'admin' || job.customerId === req.user.id;
+    if (!canSeeAll && req.user.role !== 'tradesman') {
+      return res.status(403).json({ message: "You do not have permission to view these quotes" });
+    }
+
+    const quotes = await quoteService.findQuotesForJob(job._id, {
+      status,
+      sort,
+      tradesmanId: canSeeAll ? undefined : req.user.id
+    });
+    res.json({
+      quotes: quotes.map(formatQuote),
+      summary: quoteService.summariseQuotes(quotes)
+    });
+  } catch (err) {
+    logger.error("Quote fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch quotes", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PUT /api/jobs/:id/quotes/:quoteId - Tradesman revises a pending quote
+export const reviseQuote = async (req, res) => {
+  try {
+    const { id, quoteId } = req.params;
+
+    const quote = await quoteService.findQuoteForJob(id, quoteId);
+    if (!quote) return res.status(404).json({ message: "Quote not found" });
+    if (quote.tradesmanId !== req.user.id) {
+      return res.status(403).json({ message: "Only the tradesman who submitted a quote can revise it" });
+    }
+
+    const updated = await quoteService.reviseQuote(quote, req.body);
+    if (!updated) return res.status(409).json({ message: `Cannot revise a quote that is ${quote.status}` });
+
+    res.json({ message: "Quote revised", quote: formatQuote(updated) });
+  } catch (err) {
+    logger.error("Quote revise error", { err });
+    res.status(500).json({ message: "Failed to revise quote", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/quotes/:quoteId/withdraw - Tradesman withdraws a pending quote
+export const withdrawQuote = async (req, res) => {
+  try {
+    const { id, quoteId } = req.params;
+
+    const quote = await quoteService.findQuoteForJob(id, quoteId);
+    if (!quote) return res.status(404).json({ message: "Quote not found" });
+    if (quote.tradesmanId !== req.user.id) {
+      return res.status(403).json({ message: "Only the tradesman who submitted a quote can withdraw it" });
+    }
+
+    const updated = await quoteService.withdrawQuote(quote);
+    if (!updated) return res.status(409).json({ message: `Cannot withdraw a quote that is ${quote.status}` });
+
+    res.json({ message: "Quote withdrawn", quote: formatQuote(updated) });
+  } catch (err) {
+    logger.error("Quote withdraw error", { err });
+    res.status(500).json({ message: "Failed to withdraw quote", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/quotes/:quoteId/accept - Customer accepts a quote
+export const acceptQuote = async (req, res) => {
+  try {
+    const { id, quoteId } = req.params;
+
+    const job = await jobService.findJobById(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    if (job.status !== 'open') {
+      return res.status(409).json({ message: `Cannot accept a quote on a job that is ${job.status}` });
+    }
+
+    const quote = await quoteService.findQuoteForJob(id, quoteId);
+    if (!quote) return res.status(404).json({ message: "Quote not found" });
+    if (quote.status !== 'pending') {
+      return res.status(409).json({ message: `Cannot accept a quote that is ${quote.status}` });
+    }
+
+    const result = await quoteService.acceptQuote(job, quote, req.user.id);
+    if (!result) return res.status(409).json({ message: "Job or quote changed, please retry" });
+
+    res.json({ message: "Quote accepted", job: result.job, quote: formatQuote(result.quote) });
+  } catch (err) {
+    logger.error("Quote accept error", { err });
+    res.status(500).json({ message: "Failed to accept quote", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
@@ -0,0 +1,127 @@
+import * as reviewService from '../services/reviewService.js'; // Review database operations
+import * as jobService from '../services/jobService.js';
+import { logger } from '../utils/logger.js';
+
+// Public shape of a review
+const formatReview = (r) => ({
+  id: r._id,
+  jobId: r.jobId,
+  reviewerId: r.reviewerId,
+  reviewerRole: r.reviewerRole,
+  revieweeId: r.revieweeId,
+  revieweeRole: r.revieweeRole,
+  ratings: Object.fromEntries(r.ratings),
+  overall: r.overall,
+  text: r.text,
+  reply: r.reply,
+  createdAt: r.createdAt
+});
+
+// POST /api/jobs/:id/reviews - The customer or assigned tradesman reviews the other once the job is completed
+export const postReview = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const isCustomer = req.user.role === 'customer' && job.customerId === req.user.id;
+    const isTradesman = req.user.role === 'tradesman' && job.tradesmanId === req.user.id;
+    if (!isCustomer && !isTradesman) {
+      return res.status(403).json({ message: "Only the customer and the assigned tradesman can review this job" });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ message: "Reviews can only be left on completed jobs" });
+    }
+
+    const review = await reviewService.createReview({
+      jobId: job._id,
+      reviewerId: req.user.id,
+      reviewerRole: req.user.role,
+      revieweeId: isCustomer ? job.tradesmanId : job.customerId,
+      revieweeRole: isCustomer ? 'tradesman' : 'customer',
+      ratings: req.body.ratings,
+      text: req.body.text,
+    });
+
+    const rating = await reviewService.refreshRatingSummary(review.revieweeId, review.revieweeRole);
+    res.status(201).json({ review: formatReview(review), rating: { count: rating.count, average: rating.average } });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "You have already reviewed this job" });
+    }
+    logger.error("Review submit error", { err });
+    res.status(500).json({ message: "Failed to submit review", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/:id/reviews - Both reviews on a job
+export const getJobReviews = async (req, res) => {
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const reviews = await reviewService.findReviewsForJob(job._id);
+    res.json({ reviews: reviews.map(formatReview) });
+  } catch (err) {
+    logger.error("Review fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch reviews", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/jobs/:id/reviews/:reviewId/reply - The person reviewed answers, once
+export const replyToReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const review = await reviewService.findReviewForJob(id, reviewId);
+    if (!review) return res.status(404).json({ message: "Review not found" });
+    if (review.revieweeId !== req.user.id) {
+      return res.status(403).json({ message: "Only the person reviewed can reply" });
+    }
+
+    const updated = await reviewService.replyToReview(review, req.body.text);
+    if (!updated) return res.status(409).json({ message: "This review already has a reply" });
+
+    res.json({ message: "Reply added", review: formatReview(updated) });
+  } catch (err) {
+    logger.error("Review reply error", { err });
+    res.status(500).json({ message: "Failed to reply to review", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/tradesman/:tradesmanId/reviews - A tradesman's reviews, newest first, with their rating
+export const getTradesmanReviews = async (req, res) => {
+  try {
+    const { tradesmanId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [{ reviews, total }, rating] = await Promise.all([
+      reviewService.findReviewsFor(tradesmanId, 'tradesman', skip, parseInt(limit)),
+      reviewService.findRatingSummary(tradesmanId, 'tradesman'),
+    ]);
+
+    res.json({
+      rating,
+      reviews: reviews.map(formatReview),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Review fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch reviews", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/jobs/tradesman/:tradesmanId/rating - A tradesman's average, review count and star distribution
+export const getTradesmanRating = async (req, res) => {
+  try {
+    res.json(await reviewService.findRatingSummary(req.params.tradesmanId, 'tradesman'));
+  } catch (err) {
+    logger.error("Rating fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch rating", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
@@ -0,0 +1,114 @@
+import * as savedSearchService from '../services/savedSearchService.js'; // Saved search database operations
+import { lookupPostcode } from '../services/geoService.js';
+import { logger } from '../utils/logger.js';
+
+// Public shape of a saved search
+const formatSavedSearch = (s) => ({
+  id: s._id,
+  name: s.name,
+  category: s.category,
+  postcode: s.location.postcode,
+  radiusKm: s.radiusKm,
+  frequency: s.frequency,
+  active: s.active,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt
+});
+
+// Geocode a postcode into a saved search location, or send the error response
+const resolveLocation = async (postcode, res) => {
+  const lookup = await lookupPostcode(postcode);
+  if (lookup.status === 'unavailable') {
+    res.status(503).json({ message: "Postcode lookup is temporarily unavailable, please retry" });
+    return null;
+  }
+  if (lookup.status !== 'ok') {
+    res.status(400).json({ message: `Invalid postcode: ${postcode}` });
+    return null;
+  }
+  return { type: "Point", coordinates: lookup.result.coordinates, postcode: lookup.result.postcode };
+};
+
+// POST /api/saved-searches - Save a search
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { name, category, postcode, radius, frequency } = req.body;
+
+    const location = await resolveLocation(postcode, res);
+    if (!location) return;
+
+    const search = await savedSearchService.createSavedSearch({
+      tradesmanId: req.user.id,
+      name,
+      category: category || null,
+      radiusKm: parseInt(radius),
+      location,
+      frequency,
+    });
+    res.status(201).json(formatSavedSearch(search));
+  } catch (err) {
+    logger.error("Saved search create error", { err });
+    res.status(500).json({ message: "Failed to save search", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/saved-searches - List the tradesman's saved searches
+export const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await savedSearchService.findSavedSearches(req.user.id);
+    res.json(searches.map(formatSavedSearch));
+  } catch (err) {
+    logger.error("Saved search fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch saved searches", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/saved-searches/:searchId - Get one saved search
+export const getSavedSearch = async (req, res) => {
+  try {
+    const search = await savedSearchService.findSavedSearch(req.user.id, req.params.searchId);
+    if (!search) return res.status(404).json({ message: "Saved search not found" });
+    res.json(formatSavedSearch(search));
+  } catch (err) {
+    logger.error("Saved search fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch saved search", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PUT /api/saved-searches/:searchId - Update a saved search
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { name, category, postcode, radius, frequency, active } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (category !== undefined) updates.category = category || null;
+    if (radius !== undefined) updates.radiusKm = parseInt(radius);
+    if (frequency !== undefined) updates.frequency = frequency;
+    if (active !== undefined) updates.active = active;
+
+    if (postcode) {
+      const location = await resolveLocation(postcode, res);
+      if (!location) return;
+      updates.location = location;
+    }
+
+    const search = await savedSearchService.updateSavedSearch(req.user.id, req.params.searchId, updates);
+    if (!search) return res.status(404).json({ message: "Saved search not found" });
+    res.json({ message: "Saved search updated", search: formatSavedSearch(search) });
+  } catch (err) {
+    logger.error("Saved search update error", { err });
+    res.status(500).json({ message: "Failed to update saved search", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// DELETE /api/saved-searches/:searchId - Delete a saved search
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await savedSearchService.deleteSavedSearch(req.user.id, req.params.searchId);
+    if (!search) return res.status(404).json({ message: "Saved search not found" });
+    res.json({ message: "Saved search deleted" });
+  } catch (err) {
+    logger.error("Saved search delete error", { err });
+    res.status(500).json({ message: "Failed to delete saved search", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { renderMetrics } from '../services/metricsService.js';
+import { PROMETHEUS_CONTENT_TYPE } from '../utils/metrics.js';
+import { logger } from '../utils/logger.js';
+import { envInt } from '../utils/env.js';
+
+const DB_PING_TIMEOUT_MS = envInt('HEALTH_DB_TIMEOUT_MS', 2000);
+
+// Ping the database, failing if it takes longer than the timeout
+const checkDatabase = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return { status: 'down', error: 'Not connected' };
+  }
+
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No reply within ${DB_PING_TIMEOUT_MS}ms`)), DB_PING_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - start };
+  } catch (err) {
+    return { status: 'down', error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// GET /health/live - The process is up and serving requests; restart it if this fails
+export const liveness = (_req, res) => {
+  res.json({ status: 'ok', service: 'job-service', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+};
+
+// GET /health/ready (and /health) - Dependencies are reachable; stop routing traffic here if this fails
+export const readiness = async (_req, res) => {
+  const database = await checkDatabase();
+  const ready = database.status === 'up';
+  if (!ready) logger.warn('Readiness check failed', { database });
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    service: 'job-service',
+    checks: { database },
+    timestamp: new Date().toISOString()
+  });
+};
+
+// GET /metrics - Prometheus scrape endpoint; needs "Authorization: Bearer <METRICS_TOKEN>" when that is set
+export const metrics = async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+  }
+
+  try {
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(await renderMetrics());
+  } catch (err) {
+    logger.error('Metrics render error', { err });
+    res.status(500).json({ message: 'Failed to render metrics' });
+  }
+};
@@ -0,0 +1,102 @@
+import * as profileService from '../services/tradesmanProfileService.js'; // Profile database operations
+import { findFeedForTradesman } from '../services/jobFeedService.js';
+import { lookupPostcode } from '../services/geoService.js';
+import { logger } from '../utils/logger.js';
+
+// Public shape of a profile
+const formatProfile = (p) => ({
+  tradesmanId: p.tradesmanId,
+  categories: p.categories,
+  postcode: p.location.postcode,
+  radiusKm: p.radiusKm,
+  availability: p.availability,
+  updatedAt: p.updatedAt
+});
+
+// GET /api/tradesmen/profile - The signed-in tradesman's profile
+export const getProfile = async (req, res) => {
+  try {
+    const profile = await profileService.findProfile(req.user.id);
+    if (!profile) return res.status(404).json({ message: "You have not set up a profile yet" });
+    res.json(formatProfile(profile));
+  } catch (err) {
+    logger.error("Profile fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch profile", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PUT /api/tradesmen/profile - Create or replace the signed-in tradesman's profile
+export const updateProfile = async (req, res) => {
+  try {
+    const { categories, postcode, radiusKm, availability = [] } = req.body;
+
+    const lookup = await lookupPostcode(postcode);
+    if (lookup.status === 'unavailable') {
+      return res.status(503).json({ message: "Postcode lookup is temporarily unavailable, please retry" });
+    }
+    if (lookup.status !== 'ok') {
+      return res.status(400).json({ message: `Postcode not found: ${postcode}` });
+    }
+    const geo = lookup.result;
+
+    const profile = await profileService.saveProfile(req.user.id, {
+      categories: [...new Set(categories)],
+      location: {
+        type: "Point",
+        coordinates: geo.coordinates,
+        postcode: geo.postcode,
+        precision: geo.precision,
+      },
+      ...(radiusKm !== undefined && { radiusKm }),
+      availability: availability.map(({ day, from, to }) => ({ day, from, to })),
+    });
+
+    res.json({ message: "Profile saved", profile: formatProfile(profile) });
+  } catch (err) {
+    logger.error("Profile update error", { err });
+    res.status(500).json({ message: "Failed to save profile", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/tradesmen/feed - Open jobs ranked for the signed-in tradesman, with why each one scored as it did
+export const getFeed = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const profile = await profileService.findProfile(req.user.id);
+    if (!profile) {
+      return res.status(409).json({ message: "Set up your profile with your trades and base postcode to get a feed" });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { jobs, total } = await findFeedForTradesman(profile, skip, parseInt(limit));
+
+    res.json({
+      jobs: jobs.map(j => ({
+        id: j._id,
+        title: j.title,
+        description: j.description,
+        location: j.location.postcode,
+        distanceKm: Math.round(j.distance / 10) / 100,
+        category: j.category,
+        budget: j.budget || null,
+        urgency: j.urgency,
+        availability: j.availability || [],
+        image: (j.images?.find(img => img.isCover) || j.images?.[0])?.url || null,
+        quoteCount: j.quoteCount,
+        createdAt: j.createdAt,
+        score: j.score,
+        breakdown: j.breakdown
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Feed fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch feed", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
@@ -0,0 +1,138 @@
+import * as webhookService from '../services/webhookService.js'; // Webhook subscriptions and deliveries
+import { logger } from '../utils/logger.js';
+
+// Public shape of a subscription; the secret is only shown once, on creation
+const formatSubscription = (s) => ({
+  id: s._id,
+  url: s.url,
+  description: s.description,
+  events: s.events,
+  active: s.active,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt
+});
+
+const formatDelivery = (d) => ({
+  id: d._id,
+  subscriptionId: d.subscriptionId,
+  eventId: d.eventId,
+  eventType: d.eventType,
+  status: d.status,
+  attempts: d.attempts,
+  nextAttemptAt: d.nextAttemptAt,
+  lastStatusCode: d.lastStatusCode,
+  lastError: d.lastError,
+  deliveredAt: d.deliveredAt,
+  createdAt: d.createdAt
+});
+
+// POST /api/webhooks - Register a subscription
+export const createSubscription = async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+    const subscription = await webhookService.createSubscription({
+      url,
+      events: events?.length ? events : ['*'],
+      description,
+      secret,
+      createdBy: req.user.id,
+    });
+    res.status(201).json({ ...formatSubscription(subscription), secret: subscription.secret });
+  } catch (err) {
+    logger.error("Webhook create error", { err });
+    res.status(500).json({ message: "Failed to create webhook", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/webhooks - List subscriptions
+export const getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await webhookService.findSubscriptions();
+    res.json(subscriptions.map(formatSubscription));
+  } catch (err) {
+    logger.error("Webhook fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch webhooks", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// PUT /api/webhooks/:webhookId - Update a subscription
+export const updateSubscription = async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ['url', 'events', 'description', 'active']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const subscription = await webhookService.updateSubscription(req.params.webhookId, updates);
+    if (!subscription) return res.status(404).json({ message: "Webhook not found" });
+    res.json({ message: "Webhook updated", webhook: formatSubscription(subscription) });
+  } catch (err) {
+    logger.error("Webhook update error", { err });
+    res.status(500).json({ message: "Failed to update webhook", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// DELETE /api/webhooks/:webhookId - Remove a subscription
+export const deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await webhookService.deleteSubscription(req.params.webhookId);
+    if (!subscription) return res.status(404).json({ message: "Webhook not found" });
+    res.json({ message: "Webhook deleted" });
+  } catch (err) {
+    logger.error("Webhook delete error", { err });
+    res.status(500).json({ message: "Failed to delete webhook", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/webhooks/:webhookId/ping - Send a test event now and report the result
+export const pingSubscription = async (req, res) => {
+  try {
+    const subscription = await webhookService.findSubscriptionById(req.params.webhookId);
+    if (!subscription) return res.status(404).json({ message: "Webhook not found" });
+
+    const delivery = await webhookService.sendPing(subscription);
+    res.json(formatDelivery(delivery));
+  } catch (err) {
+    logger.error("Webhook ping error", { err });
+    res.status(500).json({ message: "Failed to ping webhook", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// GET /api/webhooks/deliveries - List deliveries, e.g. ?status=dead
+export const getDeliveries = async (req, res) => {
+  try {
+    const { subscriptionId, status, eventType, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { deliveries, total } = await webhookService.findDeliveries(filter, skip, parseInt(limit));
+
+    res.json({
+      deliveries: deliveries.map(formatDelivery),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error("Webhook delivery fetch error", { err });
+    res.status(500).json({ message: "Failed to fetch deliveries", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Queue a dead or delivered event again
+export const redeliver = async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId);
+    if (!delivery) return res.status(404).json({ message: "Delivery not found or still in progress" });
+    res.json({ message: "Delivery queued", delivery: formatDelivery(delivery) });
+  } catch (err) {
+    logger.error("Webhook redeliver error", { err });
+    res.status(500).json({ message: "Failed to redeliver", error: process.env.NODE_ENV === 'development' ? err.message : undefined });
+  }
+};
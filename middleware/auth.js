@@ -0,0 +1,112 @@
+// middleware/auth.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import * as jobService from '../services/jobService.js';
+
+export const ROLES = ['customer', 'tradesman', 'admin'];
+
+// Verification key and algorithms come from the environment:
+// JWT_PUBLIC_KEY (RS256/ES256) takes precedence over a shared JWT_SECRET (HS256).
+const getVerifyConfig = () => {
+  const publicKey = process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+  const options = {};
+  if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+  if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+
+  if (publicKey) return { key: publicKey, options: { ...options, algorithms: ['RS256', 'ES256'] } };
+  if (process.env.JWT_SECRET) return { key: process.env.JWT_SECRET, options: { ...options, algorithms: ['HS256'] } };
+  return null;
+};
+
+/**
+ * Make sure tokens can be verified, so a missing or broken key stops the service at startup
+ * instead of showing up as a 401 on every request
+ * @throws {Error} - When neither key is set, or JWT_PUBLIC_KEY is not a PEM public key
+ */
+export const checkAuthConfig = () => {
+  const config = getVerifyConfig();
+  if (!config) throw new Error('JWT_SECRET or JWT_PUBLIC_KEY must be set');
+  if (process.env.JWT_PUBLIC_KEY) {
+    try {
+      crypto.createPublicKey(config.key);
+    } catch (err) {
+      throw new Error(`JWT_PUBLIC_KEY is not a valid PEM public key: ${err.message}`);
+    }
+  }
+};
+
+// Decode the bearer token into { id, role }, or throw if it is invalid
+const verifyToken = (token) => {
+  const config = getVerifyConfig();
+  if (!config) throw new Error('JWT_SECRET or JWT_PUBLIC_KEY must be set');
+
+  const payload = jwt.verify(token, config.key, config.options);
+  const id = payload.sub || payload.id;
+  if (!id || !ROLES.includes(payload.role)) throw new Error('Token is missing a subject or valid role');
+
+  return { id: String(id), role: payload.role };
+};
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Require a valid token and populate req.user
+export const authenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return res.status(401).json({ message: 'Authentication required' });
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+// Populate req.user when a valid token is sent, but let anonymous requests through
+export const optionalAuth = (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+// Only allow the listed roles
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'Authentication required' });
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+/**
+ * Only allow users related to the job in :id, plus admins.
+ * Relations: 'owner' (the posting customer) and 'tradesman' (the assigned tradesman).
+ * Must run after the id has been validated.
+ */
+export const requireJobAccess = (...relations) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'Authentication required' });
+  if (req.user.role === 'admin') return next();
+
+  try {
+    const job = await jobService.findJobById(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    const isOwner = relations.includes('owner') && job.customerId === req.user.id;
+    const isTradesman = relations.includes('tradesman') && job.tradesmanId === req.user.id;
+    if (!isOwner && !isTradesman) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,65 @@
+// middleware/idempotency.js
+import { claimKey, completeKey, releaseKey, hashRequest } from '../services/idempotencyService.js';
+import { logger } from '../utils/logger.js';
+
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/; // Printable ASCII without spaces, like a UUID
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const REPLAYED_HEADERS = ['ETag', 'Location', 'Content-Location'];
+
+/**
+ * Make a mutating request safe to retry with an Idempotency-Key header.
+ * The first request runs and its response is stored; a retry with the same key and payload
+ * gets that response back, one sent while the first is still running gets 409,
+ * and one with a different payload gets 422. Server errors are not stored, so they can be retried.
+ * A replay sends the stored ETag and Location headers again, and the original request's ID in Original-Request-Id.
+ * Must run after authenticate and after the body (and any upload) has been parsed.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !MUTATING_METHODS.includes(req.method) || !req.user) return next();
+  if (!VALID_KEY.test(key)) {
+    return res.status(400).json({ message: 'Idempotency-Key must be 1 to 255 printable characters without spaces' });
+  }
+
+  let claim;
+  try {
+    claim = await claimKey(req.user.id, key, hashRequest(req));
+  } catch (err) {
+    return next(err);
+  }
+
+  const { outcome, record } = claim;
+  if (outcome === 'mismatch') {
+    return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request' });
+  }
+  if (outcome === 'in_progress') {
+    return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed, retry shortly' });
+  }
+  if (outcome === 'completed') {
+    const { statusCode, body, headers, requestId } = record.response;
+    res.set('Idempotent-Replayed', 'true');
+    for (const [name, value] of headers || []) res.set(name, value);
+    if (requestId) res.set('Original-Request-Id', requestId);
+    return res.status(statusCode).json(JSON.parse(body));
+  }
+
+  // Store the response before sending it, so a retry that follows it always finds it
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const statusCode = res.statusCode;
+    const headers = Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, String(res.get(name))]));
+    const save = statusCode >= 500 ? releaseKey(record) : completeKey(record, { statusCode, body, headers, requestId: req.id });
+    save
+      .catch(err => logger.error('Idempotency key save error', { err, key }))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // A response sent some other way can't be replayed, so let the key be used again
+  res.on('finish', () => {
+    if (!stored) releaseKey(record).catch(err => logger.error('Idempotency key release error', { err, key }));
+  });
+  next();
+};
@@ -0,0 +1,68 @@
+// middleware/requestContext.js
+import crypto from 'crypto';
+import { requestContext, logger } from '../utils/logger.js';
+import { httpRequestDuration } from '../services/metricsService.js';
+
+// Accept a caller's ID only if it is short and harmless to echo back
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes would drown out real traffic at info level
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+/**
+ * Give every request an ID, from X-Request-Id or a new one, and make it part of every log line.
+ * The ID is sent back in X-Request-Id and added to JSON error responses.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+    return json(isError ? { ...body, requestId: req.id } : body);
+  };
+
+  requestContext.run({ requestId: req.id }, next);
+};
+
+/**
+ * Log each request when it finishes and record its latency against the matched route pattern
+ */
+export const requestMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    // Route patterns rather than raw paths, so IDs don't create a series each
+    const route = req.route ? `${req.routeBase ?? req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = end({ route, status_code: res.statusCode });
+
+    const log = QUIET_PATHS.includes(req.path) ? logger.debug : logger.info;
+    log('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      userId: req.user?.id,
+    });
+  });
+  next();
+};
+
+/**
+ * Mount a router under a path pattern with parameters, as router.use(...mountRouter('/:id/quotes', quotesRouter)).
+ * req.baseUrl holds the real IDs, so the pattern is kept in req.routeBase for the metrics route label.
+ */
+export const mountRouter = (pattern, router) => [pattern, (req, res, next) => {
+  const { routeBase } = req;
+  const depth = pattern.split('/').filter(Boolean).length;
+  req.routeBase = `${routeBase ?? req.baseUrl.split('/').slice(0, -depth).join('/')}${pattern}`;
+
+  router(req, res, (err) => {
+    if (!err) req.routeBase = routeBase; // Nothing matched inside, so the parent's routes are next
+    next(err);
+  });
+}];
@@ -1,35 +1,47 @@
 // middleware/upload.js
 import multer from 'multer';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import cloudinary from '../config/cloudinary.js';
+import { withRequestContext } from '../utils/logger.js';
 
-// Configure storage for Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'repairo-jobs', // Folder name in Cloudinary
-    allowed_formats: ['jpg', 'jpeg', 'png'],
-    transformation: [
-      { width: 800, height: 600, crop: 'limit' }, // Resize images
-      { quality: 'auto' } // Auto optimize quality
-    ]
-  },
-});
+const ALLOWED_TYPES = ['image/jpeg', 'image/png'];
+const MAX_FILE_MB = 5;
 
-// Create multer instance
+// Keep uploads in memory; utils/imageUpload.js sends them to the configured storage backend once
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB file size limit
+    fileSize: MAX_FILE_MB * 1024 * 1024, // 5MB file size limit
   },
   fileFilter: (req, file, cb) => {
-    // Check if file is an image
-    if (file.mimetype.startsWith('image/')) {
+    // Check if file is a JPEG or PNG image
+    if (ALLOWED_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'), false);
+      cb(Object.assign(new Error('Only JPEG and PNG images are allowed!'), { code: 'UNSUPPORTED_FILE_TYPE' }), false);
     }
   }
 });
 
-export default upload;
\ No newline at end of file
+// Explain a rejected upload; anything else is left to the error handler
+const uploadErrorMessage = (err, field, maxCount) => {
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') return err.message;
+  if (!(err instanceof multer.MulterError)) return null;
+  if (err.code === 'LIMIT_FILE_SIZE') return `Each file must be at most ${MAX_FILE_MB}MB`;
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === field) return `You can upload at most ${maxCount} ${field} at once`;
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return `Unexpected file field: ${err.field}`;
+  return err.message;
+};
+
+// Answer upload mistakes with a 400 instead of letting them reach the 500 handler
+const array = (field, maxCount) => {
+  const middleware = upload.array(field, maxCount);
+  return (req, res, next) => middleware(req, res, (err) => {
+    const message = err && uploadErrorMessage(err, field, maxCount);
+    if (message) return res.status(400).json({ message });
+    next(err);
+  });
+};
+
+// Multer calls next from stream callbacks, so re-enter the request context for the handlers after it
+export default {
+  array: (...args) => withRequestContext(array(...args)),
+};
@@ -1,5 +1,49 @@
 // middleware/validation.js
-import { body, query, param, validationResult } from 'express-validator';
+import { body, query, param, header, checkExact, validationResult } from 'express-validator';
+import { JOB_EVENT_TYPES } from '../services/jobEvents.js';
+import { URGENCY_LEVELS, JOB_STATUSES, REPORT_REASONS, MAX_JOB_IMAGES } from '../models/Job.js';
+import { REVIEW_CRITERIA } from '../models/Review.js';
+import { WEEKDAYS } from '../models/TradesmanProfile.js';
+
+export const JOB_CATEGORIES = ['plumbing', 'electrical', 'carpentry', 'cleaning', 'gardening', 'painting', 'other'];
+
+// Budget, urgency and availability rules shared by job creation and updates.
+// A budget is either { amount } (fixed) or { min, max } (range), in GBP pence.
+const jobDetailRules = [
+  body('budget')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Budget must be { amount } or { min, max } in pence')
+    .bail()
+    .custom(budget => (budget.amount !== undefined) !== (budget.min !== undefined || budget.max !== undefined))
+    .withMessage('Budget must have either an amount or a min and max, not both')
+    .bail()
+    .custom(budget => budget.amount !== undefined || (budget.min !== undefined && budget.max !== undefined))
+    .withMessage('A budget range needs both min and max')
+    .bail()
+    .custom(budget => budget.amount !== undefined || Number(budget.max) >= Number(budget.min))
+    .withMessage('Budget max must be at least min'),
+  body(['budget.amount', 'budget.min', 'budget.max'])
+    .optional()
+    .isInt({ min: 0, max: 100000000 })
+    .withMessage('Budget values must be whole numbers of pence')
+    .toInt(),
+  body('urgency')
+    .optional()
+    .isIn(URGENCY_LEVELS)
+    .withMessage(`Urgency must be one of: ${URGENCY_LEVELS.join(', ')}`),
+  body('availability')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Availability must be a list of at most 10 windows'),
+  body(['availability.*.start', 'availability.*.end'])
+    .isISO8601()
+    .withMessage('Availability windows need ISO 8601 start and end times')
+    .toDate(),
+  body('availability.*')
+    .custom(window => new Date(window.end) > new Date(window.start))
+    .withMessage('Availability windows must end after they start')
+];
 
 // Validation for job creation
 export const validateJobPost = [
@@ -10,11 +54,17 @@ export const validateJobPost = [
     .isLength({ min: 10, max: 1000 })
     .withMessage('Description must be between 10 and 1000 characters'),
   body('category')
-    .isIn(['plumbing', 'electrical', 'carpentry', 'cleaning', 'gardening', 'painting', 'other'])
+    .isIn(JOB_CATEGORIES)
     .withMessage('Invalid category'),
   body('location.postcode')
     .isPostalCode('GB')
-    .withMessage('Valid UK postcode required')
+    .withMessage('Valid UK postcode required'),
+  // Image URLs given as JSON; uploaded files are limited by the upload middleware
+  body('images')
+    .optional()
+    .custom(images => [].concat(images).length <= MAX_JOB_IMAGES)
+    .withMessage(`A job can have at most ${MAX_JOB_IMAGES} images`),
+  ...jobDetailRules
 ];
 
 // Validation for job updates
@@ -30,17 +80,78 @@ export const validateJobUpdate = [
     .optional()
     .isLength({ min: 10, max: 1000 })
     .withMessage('Description must be between 10 and 1000 characters'),
+  body('category')
+    .optional()
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid category'),
   body('location.postcode')
     .optional()
     .isPostalCode('GB')
-    .withMessage('Valid UK postcode required')
+    .withMessage('Valid UK postcode required'),
+  body('status')
+    .not().exists()
+    .withMessage('Status can only be changed through the transition endpoints'),
+  body('tradesmanId')
+    .not().exists()
+    .withMessage('tradesmanId is set when a job is accepted'),
+  ...jobDetailRules
 ];
 
-// Validation for job queries
-export const validateJobQuery = [
+// Validation for gallery image routes
+export const validateJobImage = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  param('imageId')
+    .isMongoId()
+    .withMessage('Invalid image ID'),
+  body('caption')
+    .optional({ values: 'null' })
+    .isLength({ max: 200 })
+    .withMessage('Caption must be at most 200 characters'),
+  body('isCover')
+    .optional()
+    .isBoolean()
+    .withMessage('isCover must be true or false')
+    .toBoolean()
+];
+
+export const validateImageOrder = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a list of image IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Invalid image ID')
+];
+
+// Validation for job status transitions
+export const validateJobTransition = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// Validation for routes that only take a job ID
+export const validateJobId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
+// Validation for the job filters that listing and exporting share
+const jobFilters = [
   query('category')
     .optional()
-    .isIn(['plumbing', 'electrical', 'carpentry', 'cleaning', 'gardening', 'painting', 'other'])
+    .isIn(JOB_CATEGORIES)
     .withMessage('Invalid category'),
   query('radius')
     .optional()
@@ -50,6 +161,492 @@ export const validateJobQuery = [
     .optional()
     .isPostalCode('GB')
     .withMessage('Valid UK postcode required'),
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search must be between 2 and 100 characters'),
+  query(['budgetMin', 'budgetMax'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Budget filters must be whole numbers of pence'),
+  query('urgency')
+    .optional()
+    .custom(value => String(value).split(',').every(u => URGENCY_LEVELS.includes(u.trim())))
+    .withMessage(`Urgency must be a comma-separated list of: ${URGENCY_LEVELS.join(', ')}`),
+  query(['availableFrom', 'availableTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Availability filters must be ISO 8601 dates'),
+  query('availableTo')
+    .optional()
+    .custom((to, { req }) => !req.query.availableFrom || new Date(to) > new Date(req.query.availableFrom))
+    .withMessage('availableTo must be after availableFrom')
+];
+
+// Validation for job queries: the filters plus paging and sort order
+export const validateJobQuery = [
+  ...jobFilters,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sort')
+    .optional()
+    .isIn(['distance', 'newest', 'oldest', 'budget', 'relevance'])
+    .withMessage('Sort must be distance, newest, oldest, budget or relevance')
+    .bail()
+    .custom((sort, { req }) => sort !== 'distance' || (req.query.location && !req.query.q))
+    .withMessage('Sorting by distance needs a location and cannot be combined with a keyword search')
+    .bail()
+    .custom((sort, { req }) => sort !== 'relevance' || req.query.q)
+    .withMessage('Sorting by relevance needs a keyword search'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Invalid cursor')
+];
+
+// Validation for job exports: the getJobs filters plus format, status, date range and owner.
+// An export streams everything that matches, so paging, sort and any other parameter are rejected.
+export const validateJobExport = [
+  checkExact([
+    ...jobFilters,
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson'])
+      .withMessage('Format must be csv or ndjson'),
+    query('status')
+      .optional()
+      .custom(value => String(value).split(',').every(s => JOB_STATUSES.includes(s.trim())))
+      .withMessage(`Status must be a comma-separated list of: ${JOB_STATUSES.join(', ')}`),
+    query(['createdFrom', 'createdTo'])
+      .optional()
+      .isISO8601()
+      .withMessage('createdFrom and createdTo must be ISO 8601 dates'),
+    query('createdTo')
+      .optional()
+      .custom((to, { req }) => !req.query.createdFrom || new Date(to) > new Date(req.query.createdFrom))
+      .withMessage('createdTo must be after createdFrom'),
+    query(['customerId', 'tradesmanId'])
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID format')
+  ], { locations: ['query'], message: 'Unsupported export parameter' })
+];
+
+// Validation for bulk job imports; each row is checked against validateJobPost separately
+export const validateJobImport = [
+  header('content-type')
+    .custom(type => /^(text\/csv|application\/x-ndjson)\b/i.test(type || ''))
+    .withMessage('Content-Type must be text/csv or application/x-ndjson'),
+  query('mode')
+    .optional()
+    .isIn(['dry-run', 'commit'])
+    .withMessage('Mode must be dry-run or commit'),
+  query('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+// Validation for listing a job's history
+export const validateJobHistoryQuery = [
+  ...validateJobId,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for reverting a job to an earlier version
+export const validateJobRevert = [
+  ...validateJobId,
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// Validation for the map view
+export const validateMapQuery = [
+  query('bbox')
+    .exists()
+    .withMessage('bbox is required')
+    .bail()
+    .custom(value => {
+      const parts = String(value).split(',');
+      if (parts.length !== 4 || parts.some(p => p.trim() === '' || Number.isNaN(Number(p)))) return false;
+      const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+      return minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90
+        && minLng < maxLng && minLat < maxLat && maxLng - minLng < 180;
+    })
+    .withMessage('bbox must be minLng,minLat,maxLng,maxLat, less than half the globe wide'),
+  query('zoom')
+    .exists()
+    .withMessage('zoom is required')
+    .bail()
+    .isInt({ min: 0, max: 22 })
+    .withMessage('Zoom must be between 0 and 22'),
+  query('category')
+    .optional()
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid category'),
+  query('urgency')
+    .optional()
+    .custom(value => String(value).split(',').every(u => URGENCY_LEVELS.includes(u.trim())))
+    .withMessage(`Urgency must be a comma-separated list of: ${URGENCY_LEVELS.join(', ')}`)
+];
+// Validation for the analytics reports
+export const validateAnalyticsQuery = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+  query('to')
+    .optional()
+    .custom((to, { req }) => !req.query.from || new Date(to) > new Date(req.query.from))
+    .withMessage('to must be after from'),
+  query('granularity')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Granularity must be day, week or month'),
+  query('category')
+    .optional()
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid category'),
+  query('district')
+    .optional()
+    .matches(/^[A-Z]{1,2}[0-9][A-Z0-9]?$/i)
+    .withMessage('District must be a postcode outward code, e.g. SW1A')
+];
+// Validation for job messages; tradesmanId picks the thread for customers and admins
+const messageThread = (location) => location('tradesmanId')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid tradesmanId format');
+
+export const validateMessagePost = [
+  ...validateJobId,
+  messageThread(body),
+  body('body')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Message must be at most 2000 characters')
+];
+
+export const validateMessageQuery = [
+  ...validateJobId,
+  messageThread(query),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+export const validateMessageRead = [
+  ...validateJobId,
+  messageThread(body)
+];
+
+// Validation for submitting a quote
+export const validateQuoteSubmit = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  body('price')
+    .isInt({ min: 1 })
+    .withMessage('Price must be a positive whole number of pence'),
+  body('estimatedHours')
+    .isFloat({ min: 0.25, max: 2000 })
+    .withMessage('Estimated hours must be between 0.25 and 2000'),
+  body('message')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Message must be at most 1000 characters')
+];
+
+// Validation for revising or withdrawing a quote
+export const validateQuoteUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  param('quoteId')
+    .isMongoId()
+    .withMessage('Invalid quote ID'),
+  body('price')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Price must be a positive whole number of pence'),
+  body('estimatedHours')
+    .optional()
+    .isFloat({ min: 0.25, max: 2000 })
+    .withMessage('Estimated hours must be between 0.25 and 2000'),
+  body('message')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Message must be at most 1000 characters')
+];
+
+// Validation for listing quotes
+export const validateQuoteQuery = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'declined', 'withdrawn'])
+    .withMessage('Invalid quote status'),
+  query('sort')
+    .optional()
+    .isIn(['price', 'duration', 'newest'])
+    .withMessage('Sort must be price, duration or newest')
+];
+
+// Validation for accepting a quote
+export const validateQuoteAccept = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  param('quoteId')
+    .isMongoId()
+    .withMessage('Invalid quote ID')
+];
+
+// Validation for reviewing the other side of a completed job.
+// Customers rate the tradesman's criteria and tradesmen the customer's, every one of them 1 to 5 stars.
+export const validateReviewPost = [
+  ...validateJobId,
+  body('ratings')
+    .isObject()
+    .withMessage('Ratings must be an object of criterion to stars')
+    .bail()
+    .custom((ratings, { req }) => {
+      const criteria = REVIEW_CRITERIA[req.user.role === 'tradesman' ? 'customer' : 'tradesman'];
+      const unknown = Object.keys(ratings).filter(c => !criteria.includes(c));
+      if (unknown.length > 0) throw new Error(`Unknown rating criteria: ${unknown.join(', ')}`);
+      for (const criterion of criteria) {
+        if (!Number.isInteger(ratings[criterion]) || ratings[criterion] < 1 || ratings[criterion] > 5) {
+          throw new Error(`Ratings must give ${criteria.join(', ')} a whole number of stars from 1 to 5`);
+        }
+      }
+      return true;
+    }),
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Review text must be at most 2000 characters')
+];
+
+// Validation for replying to a review
+export const validateReviewReply = [
+  ...validateJobId,
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID'),
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters')
+];
+
+// Validation for listing a tradesman's reviews
+export const validateTradesmanReviews = [
+  param('tradesmanId')
+    .isMongoId()
+    .withMessage('Invalid tradesmanId format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for a tradesman's profile; availability is weekly slots in UK local time
+export const validateTradesmanProfile = [
+  body('categories')
+    .isArray({ min: 1 })
+    .withMessage('Categories must be a list of at least one trade')
+    .bail()
+    .custom(categories => categories.every(c => JOB_CATEGORIES.includes(c)))
+    .withMessage(`Categories must be from: ${JOB_CATEGORIES.join(', ')}`),
+  body('postcode')
+    .isPostalCode('GB')
+    .withMessage('Valid UK postcode required'),
+  body('radiusKm')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Radius must be between 1 and 100 km')
+    .toInt(),
+  body('availability')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Availability must be a list of at most 21 weekly slots'),
+  body('availability.*.day')
+    .isIn(WEEKDAYS)
+    .withMessage(`Day must be one of: ${WEEKDAYS.join(', ')}`),
+  body('availability.*.from')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Slot times must be HH:MM'),
+  body('availability.*.to')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+    .withMessage('Slot times must be HH:MM'),
+  body('availability.*')
+    .custom(slot => String(slot.to) > String(slot.from))
+    .withMessage('Slots must end after they start')
+];
+
+// Validation for the jobs feed
+export const validateFeedQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for reporting a job
+export const validateJobReport = [
+  ...validateJobId,
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+// Validation for the moderation queue
+export const validateModerationQueue = [
+  query('type')
+    .optional()
+    .isIn(['held', 'reported'])
+    .withMessage('Type must be held or reported'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for approving a job
+export const validateModerationApprove = [
+  ...validateJobId,
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// Validation for rejecting a job; the customer is shown the reason
+export const validateModerationReject = [
+  ...validateJobId,
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason of at most 500 characters is required to reject a job')
+];
+
+// Validation for creating a saved search
+export const validateSavedSearch = [
+  body('name')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('category')
+    .optional({ values: 'falsy' })
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid category'),
+  body('postcode')
+    .isPostalCode('GB')
+    .withMessage('Valid UK postcode required'),
+  body('radius')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Radius must be between 1 and 100 km'),
+  body('frequency')
+    .optional()
+    .isIn(['immediate', 'hourly', 'daily'])
+    .withMessage('Frequency must be immediate, hourly or daily')
+];
+
+export const validateSavedSearchId = [
+  param('searchId')
+    .isMongoId()
+    .withMessage('Invalid saved search ID')
+];
+
+// Validation for updating a saved search
+export const validateSavedSearchUpdate = [
+  ...validateSavedSearchId,
+  body('name')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('category')
+    .optional({ values: 'falsy' })
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid category'),
+  body('postcode')
+    .optional()
+    .isPostalCode('GB')
+    .withMessage('Valid UK postcode required'),
+  body('radius')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Radius must be between 1 and 100 km'),
+  body('frequency')
+    .optional()
+    .isIn(['immediate', 'hourly', 'daily'])
+    .withMessage('Frequency must be immediate, hourly or daily'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+// Validation for listing notifications
+export const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -59,6 +656,91 @@ export const validateJobQuery = [
     .isInt({ min: 1, max: 50 })
     .withMessage('Limit must be between 1 and 50')
 ];
+
+// Validation for marking notifications read
+export const validateMarkRead = [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must be a list of notification IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+// Validation for webhook subscriptions
+// require_tld is off so subscriptions can point at a local receiver during development
+const webhookUrl = () => body('url')
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('Valid http(s) URL required');
+
+const webhookEvents = () => body('events')
+  .optional()
+  .isArray()
+  .withMessage('Events must be a list')
+  .bail()
+  .custom(events => events.every(e => e === '*' || JOB_EVENT_TYPES.includes(e)))
+  .withMessage(`Events must be '*' or any of: ${JOB_EVENT_TYPES.join(', ')}`);
+
+export const validateWebhookId = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID')
+];
+
+export const validateWebhookCreate = [
+  webhookUrl(),
+  webhookEvents(),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+  body('secret')
+    .optional()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters')
+];
+
+export const validateWebhookUpdate = [
+  ...validateWebhookId,
+  webhookUrl().optional(),
+  webhookEvents(),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+export const validateDeliveryId = [
+  param('deliveryId')
+    .isMongoId()
+    .withMessage('Invalid delivery ID')
+];
+
+export const validateDeliveryQuery = [
+  query('subscriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid webhook ID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'delivering', 'succeeded', 'dead'])
+    .withMessage('Invalid delivery status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
 export const validateCustomerId = [
   param('customerId')
     .isMongoId()
@@ -0,0 +1,29 @@
+// models/IdempotencyKey.js
+import mongoose from 'mongoose';
+
+// A client's Idempotency-Key and the response it produced, kept until expiresAt
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true }, // Keys are per user, so two clients can't collide
+    key: { type: String, required: true },
+    requestHash: { type: String, required: true }, // Method, path, body and uploaded files
+    status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+    lockedUntil: { type: Date, default: null }, // An in-progress claim older than this was abandoned
+    response: {
+      type: new mongoose.Schema({
+        statusCode: Number,
+        body: String, // JSON text
+        headers: { type: Map, of: String }, // ETag, Location and the like, sent again on replay
+        requestId: String, // X-Request-Id of the request that produced it
+      }, { _id: false }),
+      default: null
+    },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired keys
+
+export default mongoose.model('IdempotencyKey', IdempotencyKeySchema);
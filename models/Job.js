@@ -1,5 +1,36 @@
 // models/Job.js
 import mongoose from 'mongoose';
+import { envInt } from '../utils/env.js';
+
+export const MAX_JOB_IMAGES = envInt('JOB_MAX_IMAGES', 10);
+export const URGENCY_LEVELS = ['emergency', 'within_48_hours', 'within_week', 'flexible'];
+export const JOB_STATUSES = ['open', 'accepted', 'in_progress', 'completed', 'cancelled', 'expired'];
+export const JOB_VISIBILITIES = ['visible', 'pending_review', 'rejected'];
+export const REPORT_REASONS = ['spam', 'contact_details', 'off_platform_payment', 'abusive', 'fraud', 'other'];
+
+// Jobs from before moderation have no visibility set, so the public ones are those not hidden
+const HIDDEN_VISIBILITIES = ['pending_review', 'rejected'];
+export const PUBLICLY_VISIBLE = { $nin: HIDDEN_VISIBILITIES }; // Query condition
+export const isPubliclyVisible = (job) => !HIDDEN_VISIBILITIES.includes(job.visibility);
+
+// Price expectation in GBP pence; a fixed budget has min equal to max
+const BudgetSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['fixed', 'range'], required: true },
+    min: { type: Number, required: true, min: 0 },
+    max: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// A time the customer would like the work done
+const AvailabilityWindowSchema = new mongoose.Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+  },
+  { _id: false }
+);
 
 const JobSchema = new mongoose.Schema(
   {
@@ -7,46 +38,145 @@ const JobSchema = new mongoose.Schema(
     description: { type: String, required: true },
     category: { type: String, required: true, index: true },
     
-    // Updated image field for Cloudinary storage
-    image: {
-      public_id: { 
-        type: String, 
-        default: null 
-      },
-      url: { 
-        type: String, 
-        default: null 
-      },
-      originalname: {
-        type: String,
-        default: null
+    // Ordered photo gallery stored in Cloudinary; the image flagged isCover is shown in listings
+    images: {
+      type: [
+        {
+          public_id: { type: String, default: null },
+          url: { type: String, required: true },
+          originalname: { type: String, default: null },
+          caption: { type: String, default: null, trim: true },
+          isCover: { type: Boolean, default: false }
+        }
+      ],
+      validate: {
+        validator: (images) => images.length <= MAX_JOB_IMAGES,
+        message: `A job can have at most ${MAX_JOB_IMAGES} images`
       }
     },
-    
+
+    // Pricing and timing, matched by the getJobs budget, urgency and availability filters
+    budget: { type: BudgetSchema, default: null },
+    urgency: { type: String, enum: URGENCY_LEVELS, default: 'flexible', index: true },
+    availability: { type: [AvailabilityWindowSchema], default: [] },
+
     status: { 
       type: String, 
-      enum: ['open', 'accepted', 'completed', 'cancelled'], 
+      enum: JOB_STATUSES, 
       default: 'open', 
       index: true 
     },
+
+    // Lifecycle timestamps, set by the transition endpoints
+    acceptedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    reopenedAt: { type: Date, default: null },
+    expiredAt: { type: Date, default: null },
+    cancellationReason: { type: String, default: null },
+
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String },
+        action: { type: String },
+        reason: { type: String, default: null },
+        actorId: { type: String, default: null },
+        at: { type: Date, default: Date.now }
+      }
+    ],
     customerId: { type: String, required: true, index: true },
     
     // New field for when a tradesman accepts the job
     tradesmanId: { type: String, default: null, index: true },
 
+    // Quote that won the job, when it was accepted through the quotes flow
+    acceptedQuoteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote', default: null },
+
     // GeoJSON Point for precise radius queries
     location: {
       type: { type: String, enum: ['Point'], default: 'Point' },
       coordinates: { type: [Number], required: true }, // [lng, lat]
       postcode: { type: String },
+      // 'outcode' when the full postcode was unknown and the district centre was used
+      precision: { type: String, enum: ['postcode', 'outcode'], default: 'postcode' },
+    },
+
+    // Open jobs expire at expiresAt unless accepted first; the customer is reminded shortly before
+    expiresAt: { type: Date, default: null, index: true },
+    expiryReminderSentAt: { type: Date, default: null },
+
+    // Links between an expired or cancelled job and the fresh copy it was reposted as
+    repostedFromId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+    repostedToId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+
+    // Soft deletion: hidden everywhere until restored, then purged after the retention period
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: String, default: null },
+
+    // Moderation: held and rejected jobs are only shown to their customer, their tradesman and admins
+    visibility: { type: String, enum: JOB_VISIBILITIES, default: 'visible', index: true },
+    moderation: {
+      // Rules the content tripped when it was last posted or edited
+      flags: [{ _id: false, rule: String, field: String, action: String }],
+      reports: [
+        {
+          _id: false,
+          reporterId: { type: String, required: true },
+          reason: { type: String, enum: REPORT_REASONS, required: true },
+          note: { type: String, default: null },
+          at: { type: Date, default: Date.now }
+        }
+      ],
+      openReports: { type: Number, default: 0 }, // Reports since the last admin decision
+      queuedAt: { type: Date, default: null, index: true }, // When it joined the admin queue
+      decision: { type: String, enum: ['approved', 'rejected', null], default: null },
+      decisionReason: { type: String, default: null },
+      reviewedBy: { type: String, default: null },
+      reviewedAt: { type: Date, default: null },
+      // When the job was first shown publicly, which is when job.created goes out; null while it has only been held
+      publishedAt: { type: Date, default: null },
     },
 
+    // Set on jobs created by a bulk import, so importing the same file twice adds nothing
+    importKey: { type: String },
+
+    // Bumped by every update, so clients can send it back in If-Match to avoid overwriting newer changes
+    version: { type: Number, default: 0 },
+
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+// Count every write as a new version; jobs from before versioning start at 0
+JobSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate();
+  if (Array.isArray(update)) {
+    update.push({ $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } });
+  } else {
+    this.setUpdate({ ...update, $inc: { ...update?.$inc, version: 1 } });
+  }
+});
+
+// Query condition for a job still at the version a client last saw
+export const atVersion = (version) => ({ version: version || { $in: [0, null] } });
+
 JobSchema.index({ location: '2dsphere' });
+JobSchema.index({ 'budget.max': 1, 'budget.min': 1 });
+JobSchema.index(
+  { customerId: 1, importKey: 1 },
+  { unique: true, partialFilterExpression: { importKey: { $type: 'string' } } }
+);
+
+// Keyword search, with title matches ranked above description matches
+JobSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 10, description: 3 }, name: 'job_text_search', default_language: 'english' }
+);
 
 export default mongoose.model('Job', JobSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+// models/JobHistory.js
+import mongoose from 'mongoose';
+
+export const JOB_HISTORY_ACTIONS = ['created', 'updated', 'status_changed', 'images_changed', 'deleted', 'restored', 'purged', 'reverted'];
+
+// One change to a job. Entries are only ever inserted, never edited or removed.
+const JobHistorySchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    version: { type: Number, required: true }, // 1 for the create, then one more per change
+    action: { type: String, enum: JOB_HISTORY_ACTIONS, required: true },
+    actorId: { type: String, default: null },  // null for changes made by the service itself
+    reason: { type: String, default: null },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null }
+      }
+    ],
+    // The audited fields as they were after this change, used to revert to this version
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+JobHistorySchema.index({ jobId: 1, version: 1 }, { unique: true });
+
+// Refuse every query that would rewrite or remove history
+const appendOnly = function (next) {
+  next(new Error('Job history is append-only'));
+};
+JobHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+export default mongoose.model('JobHistory', JobHistorySchema);
@@ -0,0 +1,46 @@
+// models/Message.js
+import mongoose from 'mongoose';
+import { envInt } from '../utils/env.js';
+
+export const MAX_MESSAGE_ATTACHMENTS = envInt('MESSAGE_MAX_ATTACHMENTS', 5);
+
+// A message in a job's thread between the customer and one tradesman
+const MessageSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    // Every thread on a job is between the customer and this tradesman
+    tradesmanId: { type: String, required: true },
+    senderId: { type: String, required: true },
+    senderRole: { type: String, enum: ['customer', 'tradesman', 'admin'], required: true },
+    body: { type: String, default: '', trim: true, maxlength: 2000 },
+
+    // Images stored through the same media pipeline as the job gallery
+    attachments: {
+      type: [
+        {
+          public_id: { type: String, default: null },
+          url: { type: String, required: true },
+          originalname: { type: String, default: null }
+        }
+      ],
+      validate: {
+        validator: (attachments) => attachments.length <= MAX_MESSAGE_ATTACHMENTS,
+        message: `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments`
+      }
+    },
+
+    // Read receipts, one per participant other than the sender
+    readBy: [
+      {
+        _id: false,
+        userId: { type: String, required: true },
+        readAt: { type: Date, default: Date.now }
+      }
+    ],
+  },
+  { timestamps: true }
+);
+
+MessageSchema.index({ jobId: 1, tradesmanId: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('Message', MessageSchema);
@@ -0,0 +1,23 @@
+// models/Notification.js
+import mongoose from 'mongoose';
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    tradesmanId: { type: String, required: true },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', default: null },
+    event: { type: String, enum: ['created', 'reopened'], required: true },
+
+    // Immediate notifications are delivered on creation, the others when their digest runs
+    frequency: { type: String, enum: ['immediate', 'hourly', 'daily'], required: true },
+    deliveredAt: { type: Date, default: null },
+    digestKey: { type: String, default: null }, // e.g. "hourly:2025-01-01T10:00:00.000Z"
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ tradesmanId: 1, deliveredAt: -1 });
+NotificationSchema.index({ frequency: 1, deliveredAt: 1, createdAt: 1 });
+
+export default mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,43 @@
+// models/Quote.js
+import mongoose from 'mongoose';
+
+const QuoteSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true, index: true },
+    tradesmanId: { type: String, required: true, index: true },
+
+    // Price in GBP pence
+    price: { type: Number, required: true, min: 1 },
+    estimatedHours: { type: Number, required: true, min: 0 },
+    message: { type: String, default: '', trim: true },
+
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+      default: 'pending',
+      index: true
+    },
+
+    // Previous versions of the quote, kept when the tradesman revises it
+    revisions: [
+      {
+        _id: false,
+        price: { type: Number },
+        estimatedHours: { type: Number },
+        message: { type: String },
+        revisedAt: { type: Date, default: Date.now }
+      }
+    ],
+
+    respondedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// A tradesman can only have one live quote per job
+QuoteSchema.index(
+  { jobId: 1, tradesmanId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+export default mongoose.model('Quote', QuoteSchema);
@@ -0,0 +1,26 @@
+// models/RatingSummary.js
+import mongoose from 'mongoose';
+
+// Reputation totals for one user, rebuilt from their reviews whenever one is added
+const RatingSummarySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    role: { type: String, enum: ['customer', 'tradesman'], required: true },
+    count: { type: Number, default: 0 },
+    average: { type: Number, default: null },
+    // Number of reviews per overall star rating, rounded to whole stars
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+    criteria: { type: Map, of: Number, default: {} }, // Average per criterion
+  },
+  { timestamps: true }
+);
+
+RatingSummarySchema.index({ userId: 1, role: 1 }, { unique: true });
+
+export default mongoose.model('RatingSummary', RatingSummarySchema);
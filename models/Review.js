@@ -0,0 +1,37 @@
+// models/Review.js
+import mongoose from 'mongoose';
+
+// Star criteria, keyed by the role of the person being reviewed
+export const REVIEW_CRITERIA = {
+  tradesman: ['quality', 'punctuality', 'communication', 'value'],
+  customer: ['communication', 'accuracy', 'payment'],
+};
+
+// One side's review of the other after a completed job
+const ReviewSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    reviewerId: { type: String, required: true },
+    reviewerRole: { type: String, enum: ['customer', 'tradesman'], required: true },
+    revieweeId: { type: String, required: true },
+    revieweeRole: { type: String, enum: ['customer', 'tradesman'], required: true },
+
+    // 1 to 5 stars per criterion, and their mean
+    ratings: { type: Map, of: { type: Number, min: 1, max: 5 }, required: true },
+    overall: { type: Number, min: 1, max: 5, required: true },
+    text: { type: String, default: '', trim: true, maxlength: 2000 },
+
+    // The reviewee can answer once
+    reply: {
+      type: new mongoose.Schema({ text: { type: String, required: true, trim: true }, at: { type: Date, default: Date.now } }, { _id: false }),
+      default: null
+    },
+  },
+  { timestamps: true }
+);
+
+// Exactly one review each way per job
+ReviewSchema.index({ jobId: 1, reviewerRole: 1 }, { unique: true });
+ReviewSchema.index({ revieweeId: 1, revieweeRole: 1, createdAt: -1 });
+
+export default mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,27 @@
+// models/SavedSearch.js
+import mongoose from 'mongoose';
+
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    tradesmanId: { type: String, required: true, index: true },
+    name: { type: String, trim: true, default: null },
+
+    // Same filters as GET /getJobs; a null category matches every category
+    category: { type: String, default: null },
+    radiusKm: { type: Number, required: true, min: 1, max: 100 },
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], required: true }, // [lng, lat]
+      postcode: { type: String },
+    },
+
+    // How matching jobs are delivered
+    frequency: { type: String, enum: ['immediate', 'hourly', 'daily'], default: 'immediate' },
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+SavedSearchSchema.index({ location: '2dsphere' });
+
+export default mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,35 @@
+// models/TradesmanProfile.js
+import mongoose from 'mongoose';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']; // In Date#getDay order
+
+// A weekly slot the tradesman can work, in UK local time
+const AvailabilitySlotSchema = new mongoose.Schema(
+  {
+    day: { type: String, enum: WEEKDAYS, required: true },
+    from: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    to: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/ },
+  },
+  { _id: false }
+);
+
+// What a tradesman does and where, used to rank their job feed
+const TradesmanProfileSchema = new mongoose.Schema(
+  {
+    tradesmanId: { type: String, required: true, unique: true },
+    categories: { type: [String], default: [] },
+
+    // Geocoded base postcode, same shape as a job's location
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], required: true }, // [longitude, latitude]
+      postcode: { type: String, required: true },
+      precision: { type: String, enum: ['postcode', 'outcode'], default: 'postcode' }
+    },
+    radiusKm: { type: Number, min: 1, max: 100, default: 10 },
+    availability: { type: [AvailabilitySlotSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('TradesmanProfile', TradesmanProfileSchema);
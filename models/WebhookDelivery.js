@@ -0,0 +1,32 @@
+// models/WebhookDelivery.js
+import mongoose from 'mongoose';
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    payload: { type: Object, required: true },
+
+    // pending -> delivering -> succeeded, or back to pending for a retry, or dead once attempts run out
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'succeeded', 'dead'],
+      default: 'pending',
+      index: true
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+
+    lastStatusCode: { type: Number, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,21 @@
+// models/WebhookSubscription.js
+import mongoose from 'mongoose';
+
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    description: { type: String, default: null },
+
+    // Event types to deliver; ['*'] means every event
+    events: { type: [String], default: ['*'] },
+
+    // HMAC key for signatures, only returned when the subscription is created
+    secret: { type: String, required: true, select: false },
+
+    active: { type: Boolean, default: true, index: true },
+    createdBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
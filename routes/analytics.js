@@ -0,0 +1,15 @@
+// routes/analytics.js
+import { Router } from 'express';
+import * as controller from '../controllers/analyticsController.js';
+import { validateAnalyticsQuery, checkValidation } from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+// Marketplace figures are for admins only
+router.use(authenticate, requireRole('admin'));
+
+router.get('/postings', validateAnalyticsQuery, checkValidation, controller.getPostings);
+router.get('/outcomes', validateAnalyticsQuery, checkValidation, controller.getOutcomes);
+
+export default router;
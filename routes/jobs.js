@@ -1,6 +1,12 @@
 // routes/jobs.js
-import { Router } from 'express';
+import express, { Router } from 'express';
 import * as controller from '../controllers/jobsController.js';
+import * as imagesController from '../controllers/jobImagesController.js';
+import * as mapController from '../controllers/mapController.js';
+import * as historyController from '../controllers/jobHistoryController.js';
+import * as reviewsController from '../controllers/reviewsController.js';
+import * as moderationController from '../controllers/moderationController.js';
+import { MAX_JOB_IMAGES } from '../models/Job.js';
 import {
   validateJobPost,
   validateJobUpdate,
@@ -8,29 +14,115 @@ import {
   checkValidation,
   validateCustomerId,
   validateTradesmanId,
+  validateJobTransition,
+  validateJobId,
+  validateJobImage,
+  validateImageOrder,
+  validateMapQuery,
+  validateJobExport,
+  validateJobImport,
+  validateJobHistoryQuery,
+  validateJobRevert,
+  validateTradesmanReviews,
+  validateJobReport,
 } from '../middleware/validation.js';
+import { authenticate, optionalAuth, requireRole, requireJobAccess } from '../middleware/auth.js';
 import upload from '../middleware/upload.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { mountRouter } from '../middleware/requestContext.js';
+import { withRequestContext } from '../utils/logger.js';
+import quotesRouter from './quotes.js';
+import messagesRouter from './messages.js';
+import reviewsRouter from './reviews.js';
 
 const router = Router();
 
 router.post(
   '/postJobs',
-  upload.single('image'),
+  authenticate,
+  requireRole('customer', 'admin'),
+  upload.array('images', MAX_JOB_IMAGES),
+  idempotent,
   validateJobPost,
   checkValidation,
   controller.postJobs
 );
 
+router.post(
+  '/import',
+  authenticate,
+  requireRole('customer', 'admin'),
+  withRequestContext(express.text({ type: ['text/csv', 'application/x-ndjson'], limit: '5mb' })),
+  idempotent,
+  validateJobImport,
+  checkValidation,
+  controller.importJobs
+);
+
 router.get('/getJobs', validateJobQuery, checkValidation, controller.getJobs);
-router.get('/:id', controller.getJob);
+router.get('/facets', validateJobQuery, checkValidation, controller.getJobFacets);
+router.get('/export', authenticate, validateJobExport, checkValidation, controller.exportJobs);
+router.get('/map', validateMapQuery, checkValidation, mapController.getJobsMap);
+router.get('/:id', optionalAuth, controller.getJob);
 router.put(
   '/updateJobs/:id',
-  upload.single('image'),
+  authenticate,
+  idempotent,
+  validateJobId,
+  checkValidation,
+  requireJobAccess('owner'),
   validateJobUpdate,
   checkValidation,
   controller.updateJob
-);;
-router.delete('/deleteJobs/:id', controller.deleteJob);
+);
+router.delete(
+  '/deleteJobs/:id',
+  authenticate,
+  idempotent,
+  validateJobId,
+  checkValidation,
+  requireJobAccess('owner'),
+  controller.deleteJob
+);
+router.post('/:id/restore', authenticate, idempotent, validateJobId, checkValidation, controller.restoreJob);
+router.post('/:id/report', authenticate, idempotent, validateJobReport, checkValidation, moderationController.reportJob);
+
+// Status transitions
+router.post('/:id/accept', authenticate, requireRole('tradesman'), idempotent, validateJobTransition, checkValidation, controller.acceptJob);
+router.post('/:id/start', authenticate, idempotent, validateJobTransition, checkValidation, requireJobAccess('tradesman'), controller.startJob);
+router.post('/:id/complete', authenticate, idempotent, validateJobTransition, checkValidation, requireJobAccess('owner', 'tradesman'), controller.completeJob);
+router.post('/:id/cancel', authenticate, idempotent, validateJobTransition, checkValidation, requireJobAccess('owner'), controller.cancelJob);
+router.post('/:id/reopen', authenticate, idempotent, validateJobTransition, checkValidation, requireJobAccess('owner', 'tradesman'), controller.reopenJob);
+router.post('/:id/repost', authenticate, idempotent, validateJobId, checkValidation, requireJobAccess('owner'), controller.repostJob);
+
+// Photo gallery
+router.post(
+  '/:id/images',
+  authenticate,
+  validateJobId,
+  checkValidation,
+  requireJobAccess('owner'),
+  upload.array('images', MAX_JOB_IMAGES),
+  idempotent,
+  imagesController.addJobImages
+);
+router.put('/:id/images/order', authenticate, idempotent, validateImageOrder, checkValidation, requireJobAccess('owner'), imagesController.reorderJobImages);
+router.patch('/:id/images/:imageId', authenticate, idempotent, validateJobImage, checkValidation, requireJobAccess('owner'), imagesController.updateJobImage);
+router.delete('/:id/images/:imageId', authenticate, idempotent, validateJobImage, checkValidation, requireJobAccess('owner'), imagesController.removeJobImage);
+
+// Audit trail
+router.get('/:id/history', authenticate, validateJobHistoryQuery, checkValidation, requireJobAccess('owner', 'tradesman'), historyController.getJobHistory);
+router.post('/:id/history/:version/revert', authenticate, requireRole('admin'), idempotent, validateJobRevert, checkValidation, historyController.revertJob);
+
+// Quotes on a job
+router.use(...mountRouter('/:id/quotes', quotesRouter));
+
+// Message threads on a job
+router.use(...mountRouter('/:id/messages', messagesRouter));
+
+// Reviews once a job is completed
+router.use(...mountRouter('/:id/reviews', reviewsRouter));
+
 //Get jobs by customerId with param validation
 router.get(
   '/customer/:customerId',
@@ -46,5 +138,7 @@ router.get(
   checkValidation,
   controller.getJobsByTradesman
 );
+router.get('/tradesman/:tradesmanId/reviews', validateTradesmanReviews, checkValidation, reviewsController.getTradesmanReviews);
+router.get('/tradesman/:tradesmanId/rating', validateTradesmanId, checkValidation, reviewsController.getTradesmanRating);
 
 export default router;
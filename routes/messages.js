@@ -0,0 +1,35 @@
+// routes/messages.js
+import { Router } from 'express';
+import * as controller from '../controllers/messagesController.js';
+import {
+  validateMessagePost,
+  validateMessageQuery,
+  validateMessageRead,
+  validateJobId,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireJobAccess } from '../middleware/auth.js';
+import upload from '../middleware/upload.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { MAX_MESSAGE_ATTACHMENTS } from '../models/Message.js';
+
+// Mounted under /api/jobs/:id/messages
+const router = Router({ mergeParams: true });
+
+router.use(authenticate);
+
+router.get('/threads', validateJobId, checkValidation, requireJobAccess('owner'), controller.getThreads);
+router.post('/read', idempotent, validateMessageRead, checkValidation, controller.markRead);
+router.get('/', validateMessageQuery, checkValidation, controller.getMessages);
+router.post(
+  '/',
+  validateJobId,
+  checkValidation,
+  upload.array('attachments', MAX_MESSAGE_ATTACHMENTS),
+  idempotent,
+  validateMessagePost,
+  checkValidation,
+  controller.postMessage
+);
+
+export default router;
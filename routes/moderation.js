@@ -0,0 +1,22 @@
+// routes/moderation.js
+import { Router } from 'express';
+import * as controller from '../controllers/moderationController.js';
+import {
+  validateModerationQueue,
+  validateModerationApprove,
+  validateModerationReject,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// The review queue is for admins only
+router.use(authenticate, requireRole('admin'), idempotent);
+
+router.get('/queue', validateModerationQueue, checkValidation, controller.getQueue);
+router.post('/jobs/:id/approve', validateModerationApprove, checkValidation, controller.approveJob);
+router.post('/jobs/:id/reject', validateModerationReject, checkValidation, controller.rejectJob);
+
+export default router;
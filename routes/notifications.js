@@ -0,0 +1,15 @@
+// routes/notifications.js
+import { Router } from 'express';
+import * as controller from '../controllers/notificationsController.js';
+import { validateNotificationQuery, validateMarkRead, checkValidation } from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = Router();
+
+router.use(authenticate, requireRole('tradesman'), idempotent);
+
+router.get('/', validateNotificationQuery, checkValidation, controller.getNotifications);
+router.post('/read', validateMarkRead, checkValidation, controller.markRead);
+
+export default router;
@@ -0,0 +1,23 @@
+// routes/quotes.js
+import { Router } from 'express';
+import * as controller from '../controllers/quotesController.js';
+import {
+  validateQuoteSubmit,
+  validateQuoteUpdate,
+  validateQuoteQuery,
+  validateQuoteAccept,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireRole, requireJobAccess } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+// Mounted under /api/jobs/:id/quotes
+const router = Router({ mergeParams: true });
+
+router.post('/', authenticate, requireRole('tradesman'), idempotent, validateQuoteSubmit, checkValidation, controller.submitQuote);
+router.get('/', authenticate, validateQuoteQuery, checkValidation, controller.getQuotes);
+router.put('/:quoteId', authenticate, requireRole('tradesman'), idempotent, validateQuoteUpdate, checkValidation, controller.reviseQuote);
+router.post('/:quoteId/withdraw', authenticate, requireRole('tradesman'), idempotent, validateQuoteUpdate, checkValidation, controller.withdrawQuote);
+router.post('/:quoteId/accept', authenticate, idempotent, validateQuoteAccept, checkValidation, requireJobAccess('owner'), controller.acceptQuote);
+
+export default router;
@@ -0,0 +1,20 @@
+// routes/reviews.js
+import { Router } from 'express';
+import * as controller from '../controllers/reviewsController.js';
+import {
+  validateReviewPost,
+  validateReviewReply,
+  validateJobId,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+// Mounted under /api/jobs/:id/reviews
+const router = Router({ mergeParams: true });
+
+router.get('/', validateJobId, checkValidation, controller.getJobReviews);
+router.post('/', authenticate, requireRole('customer', 'tradesman'), idempotent, validateReviewPost, checkValidation, controller.postReview);
+router.post('/:reviewId/reply', authenticate, idempotent, validateReviewReply, checkValidation, controller.replyToReview);
+
+export default router;
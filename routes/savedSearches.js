@@ -0,0 +1,24 @@
+// routes/savedSearches.js
+import { Router } from 'express';
+import * as controller from '../controllers/savedSearchesController.js';
+import {
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateSavedSearchId,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// Saved searches belong to the signed-in tradesman
+router.use(authenticate, requireRole('tradesman'), idempotent);
+
+router.post('/', validateSavedSearch, checkValidation, controller.createSavedSearch);
+router.get('/', controller.getSavedSearches);
+router.get('/:searchId', validateSavedSearchId, checkValidation, controller.getSavedSearch);
+router.put('/:searchId', validateSavedSearchUpdate, checkValidation, controller.updateSavedSearch);
+router.delete('/:searchId', validateSavedSearchId, checkValidation, controller.deleteSavedSearch);
+
+export default router;
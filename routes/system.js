@@ -0,0 +1,13 @@
+// routes/system.js
+import { Router } from 'express';
+import * as controller from '../controllers/systemController.js';
+
+// Health checks and metrics, mounted at the root for probes and scrapers
+const router = Router();
+
+router.get('/health', controller.readiness);
+router.get('/health/live', controller.liveness);
+router.get('/health/ready', controller.readiness);
+router.get('/metrics', controller.metrics);
+
+export default router;
@@ -0,0 +1,17 @@
+// routes/tradesmen.js
+import { Router } from 'express';
+import * as controller from '../controllers/tradesmenController.js';
+import { validateTradesmanProfile, validateFeedQuery, checkValidation } from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// Everything here is about the signed-in tradesman
+router.use(authenticate, requireRole('tradesman'), idempotent);
+
+router.get('/profile', controller.getProfile);
+router.put('/profile', validateTradesmanProfile, checkValidation, controller.updateProfile);
+router.get('/feed', validateFeedQuery, checkValidation, controller.getFeed);
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/webhooks.js
+import { Router } from 'express';
+import * as controller from '../controllers/webhooksController.js';
+import {
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateDeliveryQuery,
+  validateDeliveryId,
+  checkValidation,
+} from '../middleware/validation.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// Webhooks are managed by admins only
+router.use(authenticate, requireRole('admin'), idempotent);
+
+router.get('/deliveries', validateDeliveryQuery, checkValidation, controller.getDeliveries);
+router.post('/deliveries/:deliveryId/redeliver', validateDeliveryId, checkValidation, controller.redeliver);
+
+router.post('/', validateWebhookCreate, checkValidation, controller.createSubscription);
+router.get('/', controller.getSubscriptions);
+router.put('/:webhookId', validateWebhookUpdate, checkValidation, controller.updateSubscription);
+router.delete('/:webhookId', validateWebhookId, checkValidation, controller.deleteSubscription);
+router.post('/:webhookId/ping', validateWebhookId, checkValidation, controller.pingSubscription);
+
+export default router;
@@ -0,0 +1,23 @@
+// scripts/issueToken.js
+// Issue a self-signed token for local testing, signed with JWT_SECRET.
+// Usage: npm run token -- <userId> <customer|tradesman|admin> [expiresIn]
+import 'dotenv/config';
+import jwt from 'jsonwebtoken';
+import { ROLES } from '../middleware/auth.js';
+
+const [userId, role, expiresIn = '1h'] = process.argv.slice(2);
+
+if (!userId || !ROLES.includes(role)) {
+  console.error(`Usage: npm run token -- <userId> <${ROLES.join('|')}> [expiresIn]`);
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET must be set to issue local tokens');
+  process.exit(1);
+}
+
+const options = { subject: userId, expiresIn };
+if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+
+console.log(jwt.sign({ role }, process.env.JWT_SECRET, options));
@@ -0,0 +1,60 @@
+// scripts/migrateJobImages.js
+// Move the old single `image` field into the `images` gallery.
+// Safe to run more than once: only documents that still have `image` are touched.
+// Usage: npm run migrate:images [-- --dry-run]
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import Job from '../models/Job.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  // Read through the raw collection, since `image` is no longer in the schema
+  const cursor = Job.collection.find({ image: { $exists: true } }, { projection: { image: 1, images: 1 } });
+  let batch = [];
+  let migrated = 0;
+  let cleared = 0;
+
+  const flush = async () => {
+    if (batch.length && !dryRun) await Job.collection.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    const hasImage = Boolean(doc.image?.url);
+    const update = { $unset: { image: '' } };
+
+    if (hasImage && !(doc.images?.length)) {
+      update.$set = {
+        images: [{
+          _id: new mongoose.Types.ObjectId(),
+          public_id: doc.image.public_id || null,
+          url: doc.image.url,
+          originalname: doc.image.originalname || null,
+          caption: null,
+          isCover: true,
+        }]
+      };
+      migrated++;
+    } else {
+      cleared++;
+    }
+
+    batch.push({ updateOne: { filter: { _id: doc._id }, update } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Moved ${migrated} images into galleries, removed ${cleared} empty image fields`);
+};
+
+run()
+  .catch(err => {
+    console.error('Image migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
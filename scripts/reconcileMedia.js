@@ -0,0 +1,39 @@
+// scripts/reconcileMedia.js
+// Report stored images no job references, and job images whose files are missing.
+// Lists MEDIA_SCAN_FOLDERS (comma separated), by default MEDIA_FOLDER and the legacy repairo-jobs folder.
+// Usage: npm run reconcile:media [-- --delete-orphans] [--prune-missing] [--grace-minutes=60]
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import { reconcileMedia } from '../services/mediaReconciliation.js';
+
+const args = process.argv.slice(2);
+const graceArg = args.find(a => a.startsWith('--grace-minutes='));
+
+const run = async () => {
+  await connectDB();
+
+  const report = await reconcileMedia({
+    deleteOrphans: args.includes('--delete-orphans'),
+    pruneMissing: args.includes('--prune-missing'),
+    graceMinutes: graceArg ? parseInt(graceArg.split('=')[1]) : 60,
+  });
+
+  console.log(`Storage: ${report.storage}`);
+  console.log(`Stored files: ${report.stored}, referenced: ${report.referenced}`);
+  console.log(`Orphaned files (${report.orphans.length}):`);
+  report.orphans.forEach(id => console.log(`  ${id}`));
+  console.log(`Missing files (${report.missing.length}):`);
+  report.missing.forEach(m => console.log(m.messageId
+    ? `  ${m.public_id} (message ${m.messageId}, attachment ${m.attachmentId})`
+    : `  ${m.public_id} (job ${m.jobId}, image ${m.imageId})`));
+  if (report.deleted) console.log(`Deleted ${report.deleted} orphaned files`);
+  if (report.pruned) console.log(`Removed ${report.pruned} missing images from jobs and messages`);
+};
+
+run()
+  .catch(err => {
+    console.error('Media reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// scripts/webhookReceiver.js
+// Local HTTP receiver for testing webhook deliveries.
+// Usage: WEBHOOK_SECRET=<secret> npm run webhook-receiver -- [port] [responseStatus]
+// Pass a responseStatus such as 500 to watch the service retry and dead-letter deliveries.
+import http from 'http';
+import { verifySignature } from '../utils/webhookSignature.js';
+
+const port = parseInt(process.argv[2]) || 4001;
+const responseStatus = parseInt(process.argv[3]) || 200;
+const secret = process.env.WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signatureOk = secret
+      ? verifySignature(secret, req.headers['x-repairo-timestamp'], body, req.headers['x-repairo-signature'])
+      : null;
+
+    console.log(JSON.stringify({
+      receivedAt: new Date().toISOString(),
+      event: req.headers['x-repairo-event'],
+      delivery: req.headers['x-repairo-delivery'],
+      signature: signatureOk === null ? 'not checked (WEBHOOK_SECRET unset)' : signatureOk ? 'valid' : 'INVALID',
+      payload: body ? JSON.parse(body) : null,
+    }, null, 2));
+
+    res.writeHead(signatureOk === false ? 401 : responseStatus, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(port, () => console.log(`Webhook receiver listening on :${port}, answering ${responseStatus}`));
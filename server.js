@@ -2,9 +2,23 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import { connectDB } from './config/db.js';
 import jobsRouter from './routes/jobs.js';
+import savedSearchesRouter from './routes/savedSearches.js';
+import notificationsRouter from './routes/notifications.js';
+import webhooksRouter from './routes/webhooks.js';
+import analyticsRouter from './routes/analytics.js';
+import tradesmenRouter from './routes/tradesmen.js';
+import moderationRouter from './routes/moderation.js';
+import systemRouter from './routes/system.js';
+import { startDigestWorker } from './services/notificationService.js';
+import { startWebhookWorker } from './services/webhookService.js';
+import { startJobExpiryWorker } from './services/jobExpiryService.js';
+import { startJobRetentionWorker } from './services/jobRetentionService.js';
+import { getMediaStorage } from './services/mediaStorage.js';
+import { requestId, requestMetrics } from './middleware/requestContext.js';
+import { checkAuthConfig } from './middleware/auth.js';
+import { logger, withRequestContext } from './utils/logger.js';
 import {
   limiter,
   sanitizeInput,
@@ -13,6 +27,10 @@ import {
 
 const app = express();
 
+// Request IDs and timing come first so every later log line and error carries the ID
+app.use(requestId);
+app.use(requestMetrics);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -26,22 +44,31 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-app.use(cors());
+// Let browser clients read the headers they need for caching, retries and support requests
+app.use(cors({ exposedHeaders: ['ETag', 'Location', 'X-Request-Id', 'Idempotent-Replayed', 'Original-Request-Id'] }));
+
+// Health checks and metrics, outside the rate limit so probes are never throttled
+app.use(systemRouter);
+
 app.use(limiter);
-app.use(express.json({ limit: '5mb' }));
+app.use(withRequestContext(express.json({ limit: '5mb' })));
 app.use(sanitizeInput);
 app.use(preventParameterPollution);
-app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
-// Health check endpoint
-app.get('/health', (_req, res) => res.json({ 
-  status: 'ok', 
-  timestamp: new Date().toISOString(),
-  service: 'job-service'
-}));
+// Serve uploaded images when they are stored on the local disk
+const mediaStorage = getMediaStorage();
+if (mediaStorage.name === 'local') {
+  app.use(mediaStorage.publicUrl, express.static(mediaStorage.rootDir, { fallthrough: false }));
+}
 
 // API routes
 app.use('/api/jobs', jobsRouter);
+app.use('/api/saved-searches', savedSearchesRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/tradesmen', tradesmenRouter);
+app.use('/api/moderation', moderationRouter);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -50,7 +77,7 @@ app.use('*', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error', { err, method: req.method, path: req.originalUrl.split('?')[0] });
   res.status(500).json({ 
     message: 'Internal server error',
     error: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -59,11 +86,23 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT;
 
+// Without a way to verify tokens every authenticated request would fail, so don't start at all
+try {
+  checkAuthConfig();
+} catch (err) {
+  logger.error('Invalid authentication config', { err });
+  process.exit(1);
+}
+
 connectDB()
   .then(() => {
-    app.listen(PORT, () => console.log(`Job service listening on :${PORT}`));
+    app.listen(PORT, () => logger.info('Job service listening', { port: PORT }));
+    startDigestWorker();
+    startWebhookWorker();
+    startJobExpiryWorker();
+    startJobRetentionWorker();
   })
   .catch(err => {
-    console.error("Failed to connect to DB", err);
+    logger.error('Failed to connect to DB', { err });
     process.exit(1);
   });
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Import the Job model for database operations
+import Job from '../models/Job.js';
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Europe/London';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Start of the day, week (from Monday) or month that a date falls in
+const periodOf = (date, granularity) => ({
+  $dateTrunc: {
+    date,
+    unit: granularity,
+    timezone: TIMEZONE,
+    ...(granularity === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+// Outward code of the stored postcode, e.g. "SW1A 1AA" -> "SW1A"
+const districtOf = { $arrayElemAt: [{ $split: ['$location.postcode', ' '] }, 0] };
+
+// Jobs posted in [from, to), optionally for one category and postcode district
+const postedBetween = ({ from, to, category, district }) => {
+  const match = { createdAt: { $gte: from, $lt: to } };
+  if (category) match.category = category;
+  if (district) match['location.postcode'] = new RegExp(`^${district}( |$)`);
+  return match;
+};
+
+const round = (value, places = 1) => (value == null ? null : Number(value.toFixed(places)));
+
+/**
+ * Count jobs posted per period, category and postcode district
+ * @param {Object} options - { from, to, granularity, category, district } where granularity is day, week or month
+ * @returns {Promise<Array>} - [{ period, category, district, count }] ordered by period
+ */
+export const postingsByDistrict = async (options) => {
+  return Job.aggregate([
+    { $match: postedBetween(options) },
+    {
+      $group: {
+        _id: { period: periodOf('$createdAt', options.granularity), category: '$category', district: districtOf },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, period: '$_id.period', category: '$_id.category', district: '$_id.district', count: 1 } },
+    { $sort: { period: 1, category: 1, district: 1 } }
+  ]);
+};
+
+// Totals and median timings for a group of jobs
+const outcomeTotals = {
+  posted: { $sum: 1 },
+  accepted: { $sum: { $cond: [{ $ne: ['$acceptedAt', null] }, 1, 0] } },
+  completed: { $sum: { $cond: [{ $ne: ['$completedAt', null] }, 1, 0] } },
+  cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+  expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+  medianHoursToAcceptance: { $median: { input: '$hoursToAcceptance', method: 'approximate' } },
+  medianHoursToCompletion: { $median: { input: '$hoursToCompletion', method: 'approximate' } }
+};
+
+const withRates = ({ _id, ...totals }) => ({
+  ...totals,
+  acceptanceRate: totals.posted ? round(totals.accepted / totals.posted, 3) : null,
+  cancellationRate: totals.posted ? round(totals.cancelled / totals.posted, 3) : null,
+  expiryRate: totals.posted ? round(totals.expired / totals.posted, 3) : null,
+  medianHoursToAcceptance: round(totals.medianHoursToAcceptance),
+  medianHoursToCompletion: round(totals.medianHoursToCompletion)
+});
+
+/**
+ * Acceptance, completion, cancellation and expiry figures for the jobs posted in each period.
+ * Figures follow each job to its current state, so recent periods fill in as work progresses.
+ * Time to acceptance runs to the first acceptance, even if the job was later reopened.
+ * @param {Object} options - { from, to, granularity, category, district }
+ * @returns {Promise<Object>} - { overall, periods: [{ period, posted, accepted, completed, cancelled, expired,
+ *                              acceptanceRate, cancellationRate, expiryRate, medianHoursToAcceptance, medianHoursToCompletion }] }
+ */
+export const jobOutcomes = async (options) => {
+  const [result] = await Job.aggregate([
+    { $match: postedBetween(options) },
+    {
+      $project: {
+        status: 1,
+        createdAt: 1,
+        completedAt: { $ifNull: ['$completedAt', null] },
+        // Older jobs have no history entry, so fall back to the latest acceptance
+        acceptedAt: {
+          $ifNull: [
+            { $min: { $map: { input: { $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $eq: ['$$this.action', 'accept'] } } }, in: '$$this.at' } } },
+            { $ifNull: ['$acceptedAt', null] }
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        period: periodOf('$createdAt', options.granularity),
+        hoursToAcceptance: { $cond: [{ $ne: ['$acceptedAt', null] }, { $divide: [{ $subtract: ['$acceptedAt', '$createdAt'] }, HOUR_MS] }, null] },
+        hoursToCompletion: { $cond: [{ $ne: ['$completedAt', null] }, { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, HOUR_MS] }, null] }
+      }
+    },
+    {
+      $facet: {
+        periods: [{ $group: { _id: '$period', ...outcomeTotals } }, { $sort: { _id: 1 } }],
+        overall: [{ $group: { _id: null, ...outcomeTotals } }]
+      }
+    }
+  ]);
+
+  return {
+    overall: withRates(result.overall[0] || { posted: 0, accepted: 0, completed: 0, cancelled: 0, expired: 0 }),
+    periods: result.periods.map(p => ({ period: p._id, ...withRates(p) }))
+  };
+};
@@ -1,21 +1,195 @@
-import axios from 'axios';
+import NodeCache from 'node-cache';
+import { createPostcodesIoProvider } from './geocoders/postcodesIoProvider.js';
+import { createLocalFileProvider } from './geocoders/localFileProvider.js';
+import { normalisePostcode, getOutcode, formatPostcode } from '../utils/postcode.js';
+import { envInt } from '../utils/env.js';
+import { logger } from '../utils/logger.js';
+import { geocoderCallDuration, timeCall } from './metricsService.js';
 
-export const geocodePostcode = async (postcode) => {
-  if (!postcode) return null;
+// Geocoder settings, all overridable from the environment
+const config = {
+  provider: process.env.GEOCODER_PROVIDER || 'postcodes.io', // 'postcodes.io' or 'local'
+  dataFile: process.env.GEOCODER_DATA_FILE,                  // Used by the local provider
+  timeout: envInt('GEOCODER_TIMEOUT_MS', 3000),
+  retries: envInt('GEOCODER_RETRIES', 2),
+  cacheTtl: envInt('GEOCODER_CACHE_TTL', 24 * 60 * 60),      // Seconds for found postcodes
+  notFoundTtl: envInt('GEOCODER_NOT_FOUND_TTL', 60 * 60),    // Seconds for unknown postcodes
+};
+
+const cache = new NodeCache({ stdTTL: config.cacheTtl, useClones: false });
+const NOT_FOUND = 'not_found';
+
+const createProvider = () => {
+  if (config.provider === 'local') return createLocalFileProvider({ filePath: config.dataFile });
+  return createPostcodesIoProvider({ timeout: config.timeout });
+};
+
+let provider = null;
+const getProvider = () => {
+  if (!provider) provider = createProvider();
+  return provider;
+};
+
+/**
+ * Swap the geocoder provider, e.g. for tests or an offline dataset.
+ * A provider implements lookup(postcode), lookupOutcode(outcode) and bulkLookup(postcodes),
+ * resolving to { coordinates: [lng, lat], postcode, precision } or null when unknown,
+ * and throwing when the lookup itself failed.
+ * @param {Object} newProvider - Geocoder provider
+ */
+export const setGeocoderProvider = (newProvider) => {
+  provider = newProvider;
+  cache.flushAll();
+};
+
+// Clear every cached lookup
+export const clearGeocoderCache = () => cache.flushAll();
+
+// Call the provider, timing each attempt for /metrics
+const callProvider = (operation, arg) => {
+  const current = getProvider();
+  return timeCall(geocoderCallDuration, { provider: current.name, operation }, () => current[operation](arg));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry failed calls with exponential backoff; "not found" is a result, not a failure
+const withRetry = async (fn) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= config.retries) throw err;
+      await sleep(200 * 2 ** attempt);
+    }
+  }
+};
+
+// Use the district centre for a postcode the provider does not know, keeping the postcode as given
+const lookupDistrict = async (key) => {
+  const district = await withRetry(() => callProvider('lookupOutcode', getOutcode(key)));
+  return district ? { ...district, postcode: formatPostcode(key) } : null;
+};
+
+// Try the full postcode, then its outward code
+const resolvePostcode = async (key) => {
+  const exact = await withRetry(() => callProvider('lookup', key));
+  return exact || lookupDistrict(key);
+};
+
+const remember = (key, result) => {
+  if (result) cache.set(key, result);
+  else cache.set(key, NOT_FOUND, config.notFoundTtl);
+};
+
+const fromCache = (key) => {
+  const cached = cache.get(key);
+  if (cached === undefined) return undefined;
+  return cached === NOT_FOUND ? { status: 'not_found' } : { status: 'ok', result: cached };
+};
+
+/**
+ * Geocode a postcode, falling back to its outward code when the full postcode is unknown
+ * @param {string} postcode - UK postcode in any spacing or case
+ * @returns {Promise<Object>} - { status: 'ok', result } where result is { coordinates, postcode, precision },
+ *                              { status: 'not_found' } or { status: 'unavailable', error }
+ */
+export const lookupPostcode = async (postcode) => {
+  const key = normalisePostcode(postcode);
+  if (!key) return { status: 'not_found' };
+
+  const cached = fromCache(key);
+  if (cached) return cached;
 
-  const trimmed = postcode.trim();
   try {
-    const encoded = encodeURIComponent(trimmed);
-    const geoRes = await axios.get(`https://api.postcodes.io/postcodes/${encoded}`);
+    const result = await resolvePostcode(key);
+    remember(key, result);
+    return result ? { status: 'ok', result } : { status: 'not_found' };
+  } catch (err) {
+    logger.error('Geocoder error', { provider: getProvider().name, postcode: key, err });
+    return { status: 'unavailable', error: err.message };
+  }
+};
 
-    if (geoRes.data.status === 200 && geoRes.data.result) {
-      const { longitude, latitude } = geoRes.data.result;
-      return { coordinates: [longitude, latitude], postcode: trimmed };
+/**
+ * Geocode a postcode
+ * @param {string} postcode - UK postcode
+ * @returns {Promise<Object|null>} - { coordinates: [lng, lat], postcode, precision } or null if it could not be geocoded
+ */
+export const geocodePostcode = async (postcode) => {
+  const outcome = await lookupPostcode(postcode);
+  return outcome.status === 'ok' ? outcome.result : null;
+};
+
+/**
+ * Geocode many postcodes at once, using the cache and the provider's bulk lookup
+ * @param {Array<string>} postcodes - UK postcodes
+ * @returns {Promise<Map>} - Map of each input postcode to a lookupPostcode outcome
+ */
+export const geocodePostcodes = async (postcodes) => {
+  const outcomes = new Map();
+  const missing = new Map(); // normalised key -> original inputs
+
+  for (const postcode of postcodes) {
+    const key = normalisePostcode(postcode);
+    const cached = key ? fromCache(key) : { status: 'not_found' };
+    if (cached) {
+      outcomes.set(postcode, cached);
     } else {
-      return null;
+      missing.set(key, [...(missing.get(key) || []), postcode]);
     }
-  } catch (err) {
-    console.error(`Postcode API error: ${err.message}`);
-    return null;
   }
+
+  if (missing.size > 0) {
+    try {
+      const found = await withRetry(() => callProvider('bulkLookup', [...missing.keys()]));
+
+      for (const [key, inputs] of missing) {
+        // Unknown full postcodes still get the outward code fallback
+        const result = found.get(key) || await lookupDistrict(key);
+        remember(key, result);
+        for (const input of inputs) {
+          outcomes.set(input, result ? { status: 'ok', result } : { status: 'not_found' });
+        }
+      }
+    } catch (err) {
+      logger.error('Geocoder bulk error', { provider: getProvider().name, postcodes: missing.size, err });
+      for (const inputs of missing.values()) {
+        for (const input of inputs) {
+          if (!outcomes.has(input)) outcomes.set(input, { status: 'unavailable', error: err.message });
+        }
+      }
+    }
+  }
+
+  return outcomes;
+};
+
+/**
+ * Find the centre of each outward code (postcode district), using the cache where possible
+ * @param {Array<string>} outcodes - Outward codes, e.g. ['SW1A', 'M1']
+ * @returns {Promise<Map>} - Map of each outcode to [lng, lat], or null if unknown or the lookup failed
+ */
+export const geocodeOutcodes = async (outcodes) => {
+  const centres = new Map();
+
+  await Promise.all([...new Set(outcodes)].map(async (outcode) => {
+    const key = `outcode:${normalisePostcode(outcode)}`;
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      centres.set(outcode, cached === NOT_FOUND ? null : cached);
+      return;
+    }
+
+    try {
+      const district = await withRetry(() => callProvider('lookupOutcode', normalisePostcode(outcode)));
+      remember(key, district?.coordinates || null);
+      centres.set(outcode, district?.coordinates || null);
+    } catch (err) {
+      logger.error('Geocoder outcode error', { provider: getProvider().name, outcode, err });
+      centres.set(outcode, null);
+    }
+  }));
+
+  return centres;
 };
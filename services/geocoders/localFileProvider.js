@@ -0,0 +1,104 @@
+// services/geocoders/localFileProvider.js
+import fs from 'fs';
+import path from 'path';
+import { normalisePostcode, formatPostcode, getOutcode } from '../../utils/postcode.js';
+
+// Parse a CSV with a header row containing postcode, latitude and longitude columns
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(Boolean);
+  const columns = header.split(',').map(c => c.trim().toLowerCase());
+  const idx = {
+    postcode: columns.indexOf('postcode'),
+    latitude: columns.findIndex(c => c === 'latitude' || c === 'lat'),
+    longitude: columns.findIndex(c => c === 'longitude' || c === 'lng' || c === 'long'),
+  };
+  if (Object.values(idx).some(i => i === -1)) {
+    throw new Error('Geocoder data file needs postcode, latitude and longitude columns');
+  }
+
+  return lines.map(line => {
+    const cells = line.split(',');
+    return {
+      postcode: cells[idx.postcode],
+      latitude: parseFloat(cells[idx.latitude]),
+      longitude: parseFloat(cells[idx.longitude])
+    };
+  });
+};
+
+// Load rows from a .csv or .json file (JSON: array of { postcode, latitude, longitude })
+const loadRows = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : parseCsv(text);
+};
+
+/**
+ * Geocoder backed by a local postcode file, for running without network access.
+ * Outward codes are resolved to the centroid of their postcodes unless the file lists them directly.
+ * @param {Object} options - { filePath }
+ * @returns {Object} - Geocoder provider
+ */
+export const createLocalFileProvider = ({ filePath }) => {
+  if (!filePath) throw new Error('GEOCODER_DATA_FILE must be set for the local geocoder');
+
+  let index = null;
+
+  // Build the lookup tables on first use
+  const getIndex = () => {
+    if (index) return index;
+
+    const postcodes = new Map();
+    const outcodeSums = new Map();
+    const outcodes = new Map();
+
+    for (const row of loadRows(filePath)) {
+      const key = normalisePostcode(row.postcode);
+      if (!key || Number.isNaN(row.latitude) || Number.isNaN(row.longitude)) continue;
+      const coordinates = [Number(row.longitude), Number(row.latitude)];
+
+      // Rows that are just an outward code describe the district itself
+      if (key.length <= 4) {
+        outcodes.set(key, { coordinates, postcode: key, precision: 'outcode' });
+        continue;
+      }
+
+      postcodes.set(key, { coordinates, postcode: formatPostcode(key), precision: 'postcode' });
+      const outcode = getOutcode(key);
+      const sum = outcodeSums.get(outcode) || { lng: 0, lat: 0, count: 0 };
+      sum.lng += coordinates[0];
+      sum.lat += coordinates[1];
+      sum.count += 1;
+      outcodeSums.set(outcode, sum);
+    }
+
+    for (const [outcode, sum] of outcodeSums) {
+      if (!outcodes.has(outcode)) {
+        outcodes.set(outcode, {
+          coordinates: [sum.lng / sum.count, sum.lat / sum.count],
+          postcode: outcode,
+          precision: 'outcode'
+        });
+      }
+    }
+
+    index = { postcodes, outcodes };
+    return index;
+  };
+
+  return {
+    name: 'local',
+
+    async lookup(postcode) {
+      return getIndex().postcodes.get(normalisePostcode(postcode)) || null;
+    },
+
+    async lookupOutcode(outcode) {
+      return getIndex().outcodes.get(normalisePostcode(outcode)) || null;
+    },
+
+    async bulkLookup(postcodes) {
+      const { postcodes: table } = getIndex();
+      return new Map(postcodes.map(p => [p, table.get(normalisePostcode(p)) || null]));
+    }
+  };
+};
@@ -0,0 +1,58 @@
+// services/geocoders/postcodesIoProvider.js
+import axios from 'axios';
+
+const BULK_LIMIT = 100; // postcodes.io accepts at most 100 postcodes per bulk request
+
+const toResult = (result, precision) => ({
+  coordinates: [result.longitude, result.latitude],
+  postcode: result.postcode || result.outcode,
+  precision
+});
+
+// Treat "not found" as a normal answer; anything else is an error worth retrying
+const isNotFound = (err) => err.response?.status === 404;
+
+/**
+ * Geocoder backed by the public api.postcodes.io service
+ * @param {Object} options - { baseURL, timeout } timeout in milliseconds
+ * @returns {Object} - Geocoder provider
+ */
+export const createPostcodesIoProvider = ({ baseURL = 'https://api.postcodes.io', timeout = 3000 } = {}) => {
+  const client = axios.create({ baseURL, timeout });
+
+  return {
+    name: 'postcodes.io',
+
+    async lookup(postcode) {
+      try {
+        const res = await client.get(`/postcodes/${encodeURIComponent(postcode)}`);
+        return res.data.result ? toResult(res.data.result, 'postcode') : null;
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async lookupOutcode(outcode) {
+      try {
+        const res = await client.get(`/outcodes/${encodeURIComponent(outcode)}`);
+        return res.data.result ? toResult(res.data.result, 'outcode') : null;
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async bulkLookup(postcodes) {
+      const results = new Map();
+      for (let i = 0; i < postcodes.length; i += BULK_LIMIT) {
+        const batch = postcodes.slice(i, i + BULK_LIMIT);
+        const res = await client.post('/postcodes', { postcodes: batch });
+        for (const item of res.data.result || []) {
+          results.set(item.query, item.result ? toResult(item.result, 'postcode') : null);
+        }
+      }
+      return results;
+    }
+  };
+};
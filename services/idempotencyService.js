@@ -0,0 +1,94 @@
+// services/idempotencyService.js
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { envInt } from '../utils/env.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Idempotency settings, all overridable from the environment
+const config = {
+  ttlHours: envInt('IDEMPOTENCY_TTL_HOURS', 24),        // How long a key can be replayed
+  lockSeconds: envInt('IDEMPOTENCY_LOCK_SECONDS', 60),  // After this an unfinished request may run again
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => JSON.stringify(value, (_key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v
+));
+
+/**
+ * Fingerprint a request, so a key reused for a different request can be told apart
+ * @param {Object} req - Express request, after its body and files have been parsed
+ * @returns {string} - Hex SHA-256 of the method, URL, body and uploaded files
+ */
+export const hashRequest = (req) => sha256(canonicalJson({
+  method: req.method,
+  url: req.originalUrl,
+  body: req.body || null,
+  files: (req.files || []).map(f => ({ field: f.fieldname, name: f.originalname, sha256: sha256(f.buffer) })),
+}));
+
+/**
+ * Claim a key for a request before it runs
+ * @param {string} userId - Caller
+ * @param {string} key - Idempotency-Key header
+ * @param {string} requestHash - From hashRequest
+ * @returns {Promise<Object>} - { outcome, record } where outcome is 'claimed' (run the request),
+ *                              'completed' (replay record.response), 'in_progress' or 'mismatch'
+ */
+export const claimKey = async (userId, key, requestHash) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + config.lockSeconds * 1000);
+
+  try {
+    const record = await IdempotencyKey.create({
+      userId, key, requestHash, lockedUntil,
+      expiresAt: new Date(now.getTime() + config.ttlHours * HOUR_MS),
+    });
+    return { outcome: 'claimed', record };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) return claimKey(userId, key, requestHash); // Expired between the insert and the read
+  if (existing.requestHash !== requestHash) return { outcome: 'mismatch', record: existing };
+  if (existing.status === 'completed') return { outcome: 'completed', record: existing };
+
+  // Take over a claim whose request never finished, e.g. the server restarted mid-request
+  const taken = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'in_progress', lockedUntil: { $lte: now } },
+    { $set: { lockedUntil } },
+    { new: true }
+  );
+  return taken ? { outcome: 'claimed', record: taken } : { outcome: 'in_progress', record: existing };
+};
+
+/**
+ * Store the response to a claimed request so retries get it back
+ * @param {Object} record - Claimed key
+ * @param {Object} response - { statusCode, body, headers, requestId } as sent
+ * @returns {Promise<Object|null>} - Updated key
+ */
+export const completeKey = async (record, { statusCode, body, headers = {}, requestId = null }) => {
+  return IdempotencyKey.findByIdAndUpdate(record._id, {
+    $set: {
+      status: 'completed',
+      lockedUntil: null,
+      response: { statusCode, body: JSON.stringify(body ?? null), headers, requestId }
+    }
+  }, { new: true });
+};
+
+/**
+ * Drop a claim without a stored response, so the request can be retried with the same key
+ * @param {Object} record - Claimed key
+ * @returns {Promise<void>}
+ */
+export const releaseKey = async (record) => {
+  await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+};
@@ -0,0 +1,78 @@
+// services/jobEvents.js
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { enqueueEvent } from './webhookService.js';
+import { logger } from '../utils/logger.js';
+
+// Lifecycle events other services can subscribe to
+export const JOB_EVENT_TYPES = [
+  'job.created',
+  'job.updated',
+  'job.deleted',
+  'job.restored',
+  'job.accepted',
+  'job.started',
+  'job.completed',
+  'job.cancelled',
+  'job.reopened',
+  'job.expiring',
+  'job.expired',
+  'job.held',
+  'job.approved',
+  'job.rejected',
+];
+
+// Event fired for each status transition action
+export const TRANSITION_EVENTS = {
+  accept: 'job.accepted',
+  start: 'job.started',
+  complete: 'job.completed',
+  cancel: 'job.cancelled',
+  reopen: 'job.reopened',
+  expire: 'job.expired',
+};
+
+export const jobEvents = new EventEmitter();
+
+// Stable public shape of a job inside event payloads
+const formatJob = (job) => ({
+  id: job._id,
+  title: job.title,
+  description: job.description,
+  category: job.category,
+  status: job.status,
+  customerId: job.customerId,
+  tradesmanId: job.tradesmanId || null,
+  location: job.location?.postcode || null,
+  visibility: job.visibility || 'visible',
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+/**
+ * Emit a job event: queue its webhook deliveries, then tell every listener on jobEvents
+ * ('event' for all types, or the type itself).
+ * The deliveries are stored before this resolves, so callers await it before they respond
+ * and a restart straight after the change can't lose the event. It never rejects;
+ * if the deliveries can't be stored the whole event is logged so it can be replayed.
+ * @param {string} type - One of JOB_EVENT_TYPES
+ * @param {Object} job - Job document the event is about
+ * @param {Object} extra - Additional data, e.g. { actorId, changes }
+ * @returns {Promise<Object>} - The emitted event
+ */
+export const emitJobEvent = async (type, job, extra = {}) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    data: { job: formatJob(job), ...extra },
+  };
+  try {
+    await enqueueEvent(event);
+  } catch (err) {
+    logger.error('Webhook enqueue error', { err, event });
+  }
+  jobEvents.emit('event', event);
+  jobEvents.emit(type, event);
+  return event;
+};
@@ -0,0 +1,175 @@
+// services/jobExpiryService.js
+import mongoose from 'mongoose';
+import Job, { isPubliclyVisible } from '../models/Job.js';
+import { JOB_CATEGORIES } from '../middleware/validation.js';
+import { transitionJob, expiryDateFor, ttlDaysFor } from './jobLifecycle.js';
+import { emitJobEvent } from './jobEvents.js';
+import { recordJobHistory, withJobHistory } from './jobHistoryService.js';
+import { envInt } from '../utils/env.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Expiry settings, all overridable from the environment
+const config = {
+  reminderHours: envInt('JOB_EXPIRY_REMINDER_HOURS', 48), // Remind the customer this long before expiry
+  pollIntervalMs: envInt('JOB_EXPIRY_POLL_INTERVAL_MS', 5 * 60 * 1000),
+  batchSize: envInt('JOB_EXPIRY_BATCH_SIZE', 100),
+};
+
+/**
+ * Give open jobs posted before expiry existed an expiry time.
+ * They get their category's time to live from when they were listed,
+ * but never less than the reminder period from now, so nobody loses a job without warning.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of jobs updated
+ */
+export const backfillExpiry = async (now = new Date()) => {
+  const earliest = new Date(now.getTime() + config.reminderHours * HOUR_MS);
+  const listedAt = { $ifNull: ['$reopenedAt', '$createdAt'] };
+
+  // Known categories get their own TTL, anything else the default
+  const groups = [
+    ...JOB_CATEGORIES.map(category => ({ match: { category }, days: ttlDaysFor(category) })),
+    { match: { category: { $nin: JOB_CATEGORIES } }, days: ttlDaysFor(null) },
+  ];
+
+  let updated = 0;
+  for (const { match, days } of groups) {
+    const result = await Job.updateMany(
+      { ...match, status: 'open', expiresAt: null, deletedAt: null },
+      [{ $set: { expiresAt: { $max: [{ $add: [listedAt, days * DAY_MS] }, earliest] } } }]
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Emit job.expiring for open jobs that expire within the reminder period, once per listing
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const due = await Job.find({
+    status: 'open',
+    deletedAt: null,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + config.reminderHours * HOUR_MS) },
+    expiryReminderSentAt: null
+  }).limit(config.batchSize);
+
+  let sent = 0;
+  for (const job of due) {
+    // Claim the reminder so a second worker doesn't send it again
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'open', expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: now } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    await emitJobEvent('job.expiring', claimed, { expiresAt: claimed.expiresAt });
+    sent++;
+  }
+  return sent;
+};
+
+/**
+ * Move open jobs past their expiry time to expired
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of jobs expired
+ */
+export const expireDueJobs = async (now = new Date()) => {
+  const due = await Job.find({ status: 'open', deletedAt: null, expiresAt: { $lte: now } }).limit(config.batchSize);
+
+  let expired = 0;
+  for (const job of due) {
+    const updated = await transitionJob(job, 'expire', {
+      reason: `Not accepted within ${ttlDaysFor(job.category)} days`
+    });
+    if (updated) expired++;
+  }
+  return expired;
+};
+
+/**
+ * Backfill expiry times, then send reminders and expire jobs on a timer
+ * @returns {Object} - Timer handle, pass to clearInterval to stop polling
+ */
+export const startJobExpiryWorker = () => {
+  backfillExpiry().catch(err => logger.error('Job expiry backfill error', { err }));
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Previous run still going
+    running = true;
+    try {
+      await sendExpiryReminders();
+      await expireDueJobs();
+    } catch (err) {
+      logger.error('Job expiry error', { err });
+    } finally {
+      running = false;
+    }
+  }, config.pollIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Clone an expired or cancelled job into a fresh open one and link the two.
+ * The photo gallery moves to the new job, so the old one can be deleted without losing it.
+ * Availability windows that have already passed are dropped.
+ * @param {Object} job - Expired or cancelled job document
+ * @param {string} actorId - Who reposted it
+ * @returns {Promise<Object|null>} - The new job, or null if the job changed or was already reposted
+ */
+export const repostJob = async (job, actorId) => {
+  const now = new Date();
+
+  // The repost's 'created' entry and the original's 'updated' one are written with the change
+  const recorded = await withJobHistory('created', async (session) => {
+    const newId = new mongoose.Types.ObjectId();
+
+    const original = await Job.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['expired', 'cancelled'] }, repostedToId: null, deletedAt: null },
+      { $set: { repostedToId: newId, images: [], updatedAt: now } },
+      { session }
+    );
+    if (!original) return null;
+
+    const [repost] = await Job.create([{
+      _id: newId,
+      title: original.title,
+      description: original.description,
+      category: original.category,
+      customerId: original.customerId,
+      location: original.location,
+      images: original.images,
+      budget: original.budget,
+      urgency: original.urgency,
+      availability: original.availability.filter(w => w.end > now),
+      expiresAt: expiryDateFor(original.category, now),
+      repostedFromId: original._id,
+      // A held or rejected job is not relisted without another look
+      ...(isPubliclyVisible(original)
+        ? { moderation: { publishedAt: now } }
+        : { visibility: 'pending_review', moderation: { flags: original.moderation.flags, queuedAt: now } }),
+    }], { session });
+
+    await recordJobHistory('updated', {
+      before: original,
+      after: { ...original.toObject(), repostedToId: newId, images: [] },
+      actorId,
+      reason: `Reposted as ${newId}`,
+      session
+    });
+    return { after: repost };
+  }, { actorId, reason: `Reposted from ${job._id}` });
+  if (!recorded) return null;
+
+  const { after: repost } = recorded;
+  if (isPubliclyVisible(repost)) await emitJobEvent('job.created', repost, { actorId, repostedFromId: job._id });
+  else await emitJobEvent('job.held', repost, { actorId, flags: repost.moderation.flags });
+  return repost;
+};
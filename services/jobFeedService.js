@@ -0,0 +1,201 @@
+// services/jobFeedService.js
+import Job, { URGENCY_LEVELS, PUBLICLY_VISIBLE } from '../models/Job.js';
+import Quote from '../models/Quote.js';
+import { WEEKDAYS } from '../models/TradesmanProfile.js';
+import { envInt } from '../utils/env.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Feed settings, all overridable from the environment.
+// Each score component is between 0 and 1 and worth its weight in points, so the defaults score out of 100.
+const config = {
+  weights: {
+    category: envInt('FEED_WEIGHT_CATEGORY', 25),         // Job is in one of the tradesman's trades
+    distance: envInt('FEED_WEIGHT_DISTANCE', 20),         // Closer to their base
+    urgency: envInt('FEED_WEIGHT_URGENCY', 15),           // Needed sooner
+    freshness: envInt('FEED_WEIGHT_FRESHNESS', 10),       // Listed recently
+    competition: envInt('FEED_WEIGHT_COMPETITION', 10),   // Fewer quotes so far
+    history: envInt('FEED_WEIGHT_HISTORY', 10),           // Category they have taken on before
+    availability: envInt('FEED_WEIGHT_AVAILABILITY', 10), // Job's windows fall in their working hours
+  },
+  ageHalfLifeHours: envInt('FEED_AGE_HALF_LIFE_HOURS', 72),
+  // Nearest open jobs ranked, counted separately for the tradesman's own trades and for the rest
+  maxCandidates: envInt('FEED_MAX_CANDIDATES', 300),
+};
+
+// Minutes since midnight for "HH:MM"
+const toMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const londonTime = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/London', hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+// Offset of UK local time from UTC at a moment, in ms
+const londonOffset = (date) => {
+  const parts = Object.fromEntries(londonTime.formatToParts(date).map(p => [p.type, p.value]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return local - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+/**
+ * Whether any of a job's availability windows overlaps one of the tradesman's weekly slots.
+ * Windows are checked for up to two weeks from their start.
+ * @param {Array} windows - Job availability [{ start, end }]
+ * @param {Array} slots - Tradesman availability [{ day, from, to }] in UK local time
+ * @returns {boolean|null} - null when either side has no availability to compare
+ */
+export const fitsAvailability = (windows, slots) => {
+  if (!windows?.length || !slots?.length) return null;
+
+  return windows.some(({ start, end }) => {
+    const from = new Date(start).getTime();
+    const to = Math.min(new Date(end).getTime(), from + 14 * DAY_MS);
+
+    // Walk the UK calendar days the window touches, placing each day's slots back in UTC
+    const firstDay = Math.floor((from + londonOffset(new Date(from))) / DAY_MS) * DAY_MS;
+    for (let day = firstDay; day <= to + DAY_MS; day += DAY_MS) {
+      const offset = londonOffset(new Date(day + 12 * HOUR_MS));
+      const weekday = WEEKDAYS[new Date(day).getUTCDay()];
+      for (const slot of slots) {
+        if (slot.day !== weekday) continue;
+        const slotStart = day + toMinutes(slot.from) * 60000 - offset;
+        const slotEnd = day + toMinutes(slot.to) * 60000 - offset;
+        if (slotStart < to && slotEnd > from) return true;
+      }
+    }
+    return false;
+  });
+};
+
+/**
+ * How often the tradesman has been assigned each category of job
+ * @param {string} tradesmanId - Tradesman's user ID
+ * @returns {Promise<Map>} - Map of category to number of jobs
+ */
+const acceptedCategories = async (tradesmanId) => {
+  const counts = await Job.aggregate([
+    { $match: { tradesmanId } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id, c.count]));
+};
+
+/**
+ * Score one job for a tradesman
+ * @param {Object} job - Job with distance (meters) and quoteCount
+ * @param {Object} profile - Tradesman profile
+ * @param {Map} history - Result of acceptedCategories
+ * @param {Date} now - Current time
+ * @returns {Object} - { score, breakdown } where breakdown has, per component, its value (0 to 1),
+ *                     weight, points and a short reason
+ */
+export const scoreJob = (job, profile, history, now = new Date()) => {
+  const { weights } = config;
+  const distanceKm = Math.round(job.distance / 10) / 100;
+  const ageHours = Math.max(0, (now - (job.reopenedAt || job.createdAt)) / HOUR_MS);
+  const quotes = job.quoteCount || 0;
+  const mostAccepted = Math.max(0, ...history.values());
+  const accepted = history.get(job.category) || 0;
+  const fits = fitsAvailability(job.availability, profile.availability);
+
+  const components = {
+    category: {
+      value: profile.categories.includes(job.category) ? 1 : 0,
+      reason: profile.categories.includes(job.category) ? `${job.category} is one of your trades` : `${job.category} is not one of your trades`
+    },
+    distance: {
+      value: Math.max(0, 1 - distanceKm / profile.radiusKm),
+      reason: `${distanceKm} km from ${profile.location.postcode}, within your ${profile.radiusKm} km`
+    },
+    urgency: {
+      value: 1 - URGENCY_LEVELS.indexOf(job.urgency) / URGENCY_LEVELS.length,
+      reason: `Urgency is ${job.urgency}`
+    },
+    freshness: {
+      value: 0.5 ** (ageHours / config.ageHalfLifeHours),
+      reason: `Listed ${Math.round(ageHours)} hours ago`
+    },
+    competition: {
+      value: 1 / (1 + quotes),
+      reason: quotes === 0 ? 'No quotes yet' : `${quotes} quote${quotes === 1 ? '' : 's'} so far`
+    },
+    history: {
+      value: mostAccepted ? accepted / mostAccepted : 0,
+      reason: accepted ? `You have taken on ${accepted} ${job.category} job${accepted === 1 ? '' : 's'}` : `No past ${job.category} jobs`
+    },
+    availability: {
+      value: fits === null ? 0.5 : fits ? 1 : 0,
+      reason: fits === null ? 'No availability to compare' : fits ? 'Fits your working hours' : 'Outside your working hours'
+    },
+  };
+
+  const breakdown = {};
+  let score = 0;
+  for (const [name, { value, reason }] of Object.entries(components)) {
+    const points = Math.round(value * weights[name] * 100) / 100;
+    breakdown[name] = { value: Math.round(value * 1000) / 1000, weight: weights[name], points, reason };
+    score += points;
+  }
+  return { score: Math.round(score * 100) / 100, breakdown };
+};
+
+const FEED_JOBS = { status: 'open', deletedAt: null, visibility: PUBLICLY_VISIBLE };
+
+// The nearest feed jobs matching a filter, with their quote counts
+const findCandidates = (profile, filter) => {
+  return Job.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: profile.location.coordinates },
+        distanceField: "distance",
+        maxDistance: profile.radiusKm * 1000,
+        spherical: true,
+        query: { ...FEED_JOBS, ...filter }
+      }
+    },
+    { $limit: config.maxCandidates },
+    {
+      $lookup: {
+        from: Quote.collection.name,
+        let: { jobId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$jobId', '$$jobId'] }, status: { $ne: 'withdrawn' } } },
+          { $count: 'count' }
+        ],
+        as: 'quotes'
+      }
+    },
+    { $set: { quoteCount: { $ifNull: [{ $first: '$quotes.count' }, 0] } } },
+    { $unset: 'quotes' }
+  ]);
+};
+
+/**
+ * Rank the open jobs within a tradesman's travel radius, best match first.
+ * The nearest jobs in their own trades and the nearest in other trades are ranked separately,
+ * so busy areas can't push a farther job in their trade out of the feed.
+ * @param {Object} profile - Tradesman profile
+ * @param {number} skip - Number of ranked jobs to skip for pagination
+ * @param {number} limit - Maximum number of jobs to return
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { jobs: [job with distance, quoteCount, score, breakdown], total }
+ *                              where total counts the ranked jobs, the only ones the feed can page through
+ */
+export const findFeedForTradesman = async (profile, skip = 0, limit = 20, now = new Date()) => {
+  const [inTrade, otherTrades, history] = await Promise.all([
+    findCandidates(profile, { category: { $in: profile.categories } }),
+    findCandidates(profile, { category: { $nin: profile.categories } }),
+    acceptedCategories(profile.tradesmanId),
+  ]);
+
+  const ranked = [...inTrade, ...otherTrades]
+    .map(job => ({ ...job, ...scoreJob(job, profile, history, now) }))
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+
+  return { jobs: ranked.slice(skip, skip + limit), total: ranked.length };
+};
@@ -0,0 +1,148 @@
+// services/jobHistoryService.js
+import mongoose from 'mongoose';
+import JobHistory from '../models/JobHistory.js';
+
+// Fields recorded in every history entry
+const AUDITED_FIELDS = [
+  'title', 'description', 'category', 'location', 'budget', 'urgency', 'availability', 'images',
+  'status', 'customerId', 'tradesmanId', 'acceptedQuoteId', 'cancellationReason', 'expiresAt',
+  'repostedFromId', 'repostedToId', 'deletedAt', 'deletedBy', 'visibility'
+];
+
+// Fields an admin revert restores. Status and assignment only move through the lifecycle,
+// and old gallery images may no longer exist in storage.
+export const REVERTIBLE_FIELDS = ['title', 'description', 'category', 'location', 'budget', 'urgency', 'availability'];
+
+const MAX_VERSION_RETRIES = 5;
+
+/**
+ * Plain JSON copy of the audited fields of a job
+ * @param {Object|null} job - Job document
+ * @returns {Object|null} - { field: value } with dates and ids as strings, or null for no job
+ */
+export const auditSnapshot = (job) => {
+  if (!job) return null;
+  const plain = typeof job.toObject === 'function' ? job.toObject() : job;
+  const snapshot = {};
+  for (const field of AUDITED_FIELDS) {
+    let value = plain[field] ?? null;
+    if (field === 'location' && value) {
+      value = { type: 'Point', coordinates: value.coordinates, postcode: value.postcode, precision: value.precision };
+    }
+    if (field === 'images' && value) {
+      value = value.map(img => ({ id: img._id, url: img.url, caption: img.caption ?? null, isCover: Boolean(img.isCover) }));
+    }
+    snapshot[field] = value === null ? null : JSON.parse(JSON.stringify(value));
+  }
+  return snapshot;
+};
+
+/**
+ * List the audited fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array} - [{ field, from, to }]
+ */
+export const diffSnapshots = (before, after) => {
+  const changes = [];
+  for (const field of AUDITED_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+};
+
+// Two entries for one job took the same version number
+const isVersionClash = (err) => err.code === 11000 && Boolean(err.keyPattern?.version);
+
+/**
+ * Append a history entry for a change to a job. Updates that changed nothing are not recorded.
+ * Inside a transaction a clash over the version number aborts it, so it is thrown for the caller to retry;
+ * withJobHistory does that.
+ * @param {string} action - One of JOB_HISTORY_ACTIONS
+ * @param {Object} options - { before, after, actorId, reason, session } with the job before and after the change
+ *                           (before is null for a create, after is null for a purge)
+ * @returns {Promise<Object|null>} - The entry, or null if there was nothing to record
+ */
+export const recordJobHistory = async (action, { before = null, after = null, actorId = null, reason = null, session = null }) => {
+  const jobId = (after || before)._id;
+  const snapshot = auditSnapshot(after);
+  const changes = diffSnapshots(auditSnapshot(before), snapshot);
+  if (changes.length === 0 && !['created', 'deleted', 'purged'].includes(action)) return null;
+
+  // Versions are sequential per job; two writers racing for one version retry with the next
+  for (let attempt = 0; ; attempt++) {
+    const last = await JobHistory.findOne({ jobId }).sort({ version: -1 }).select('version').session(session).lean();
+    try {
+      const [entry] = await JobHistory.create([{
+        jobId,
+        version: (last?.version || 0) + 1,
+        action,
+        actorId,
+        reason,
+        changes,
+        snapshot,
+      }], { session });
+      return entry;
+    } catch (err) {
+      if (!isVersionClash(err) || session || attempt >= MAX_VERSION_RETRIES) throw err;
+    }
+  }
+};
+
+/**
+ * Make a change to a job and record it in the job's history in one transaction,
+ * so a change is never kept without its entry
+ * @param {string} action - One of JOB_HISTORY_ACTIONS
+ * @param {Function} change - async (session) => { before, after }, the job before and after the change,
+ *                            or null when nothing was changed; it may run again if the transaction is retried
+ * @param {Object} options - { actorId, reason }
+ * @returns {Promise<Object|null>} - { before, after, entry }, or null when nothing was changed
+ */
+export const withJobHistory = async (action, change, { actorId = null, reason = null } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        let result = null;
+        await session.withTransaction(async () => {
+          result = null;
+          const changed = await change(session);
+          if (!changed) return session.abortTransaction();
+          const entry = await recordJobHistory(action, { ...changed, actorId, reason, session });
+          result = { ...changed, entry };
+        });
+        return result;
+      } catch (err) {
+        if (!isVersionClash(err) || attempt >= MAX_VERSION_RETRIES) throw err;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * List a job's history, oldest first
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Object>} - { entries, total }
+ */
+export const findJobHistory = async (jobId, { skip = 0, limit = 50 } = {}) => {
+  const [entries, total] = await Promise.all([
+    JobHistory.find({ jobId }).sort({ version: 1 }).skip(skip).limit(limit).select('-snapshot'),
+    JobHistory.countDocuments({ jobId }),
+  ]);
+  return { entries, total };
+};
+
+/**
+ * Find one version of a job
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - History entry including its snapshot, or null if not found
+ */
+export const findJobVersion = async (jobId, version) => {
+  return JobHistory.findOne({ jobId, version });
+};
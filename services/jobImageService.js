@@ -0,0 +1,100 @@
+// Import the Job model for database operations
+import Job, { MAX_JOB_IMAGES } from '../models/Job.js';
+
+/**
+ * Make sure exactly one image is the cover: keep the first flagged one, or use the first image
+ * @param {Array} images - Gallery entries in display order
+ * @returns {Array} - The same entries with isCover fixed up
+ */
+export const normaliseCover = (images) => {
+  const coverIndex = Math.max(0, images.findIndex(img => img.isCover));
+  return images.map((img, i) => ({ ...img, isCover: i === coverIndex }));
+};
+
+/**
+ * Append images to a job's gallery, failing if it would exceed MAX_JOB_IMAGES.
+ * The size check is part of the update so concurrent uploads cannot overshoot the limit.
+ * @param {Object} job - Current job document
+ * @param {Array} images - New gallery entries
+ * @param {Object} options - { session } to update inside a transaction
+ * @returns {Promise<Object|null>} - Updated job, or null if the gallery is too full
+ */
+export const addImages = async (job, images, { session } = {}) => {
+  if (images.length === 0 || images.length > MAX_JOB_IMAGES) return null;
+  const hasCover = job.images.some(img => img.isCover);
+  const entries = images.map((img, i) => ({ ...img, isCover: !hasCover && i === 0 }));
+
+  return Job.findOneAndUpdate(
+    { _id: job._id, [`images.${MAX_JOB_IMAGES - entries.length}`]: { $exists: false } },
+    { $push: { images: { $each: entries } }, $set: { updatedAt: new Date() } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Remove one image from a job's gallery, promoting a new cover if needed
+ * @param {Object} job - Current job document
+ * @param {string} imageId - _id of the gallery entry
+ * @param {Object} options - { session } to update inside a transaction
+ * @returns {Promise<Object|null>} - Updated job, or null if the image was already gone
+ */
+export const removeImage = async (job, imageId, { session } = {}) => {
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, 'images._id': imageId },
+    { $pull: { images: { _id: imageId } }, $set: { updatedAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (updated && updated.images.length > 0 && !updated.images.some(img => img.isCover)) {
+    return Job.findOneAndUpdate(
+      { _id: job._id, 'images._id': updated.images[0]._id },
+      { $set: { 'images.$.isCover': true } },
+      { new: true, session }
+    );
+  }
+  return updated;
+};
+
+/**
+ * Put a job's gallery in a new order
+ * @param {Object} job - Current job document
+ * @param {Array<string>} order - Every image _id, in the new order
+ * @param {Object} options - { session } to update inside a transaction
+ * @returns {Promise<Object|null>} - Updated job, or null if the gallery changed in the meantime
+ */
+export const reorderImages = async (job, order, { session } = {}) => {
+  const byId = new Map(job.images.map(img => [String(img._id), img.toObject()]));
+  const images = order.map(id => byId.get(String(id)));
+
+  return Job.findOneAndUpdate(
+    { _id: job._id, images: { $size: job.images.length }, 'images._id': { $all: order } },
+    { $set: { images, updatedAt: new Date() } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Change an image's caption or make it the cover
+ * @param {Object} job - Current job document
+ * @param {string} imageId - _id of the gallery entry
+ * @param {Object} changes - { caption, isCover }
+ * @param {Object} options - { session } to update inside a transaction
+ * @returns {Promise<Object|null>} - Updated job, or null if the image was not found or the gallery changed
+ */
+export const updateImage = async (job, imageId, { caption, isCover }, { session } = {}) => {
+  if (!job.images.some(img => String(img._id) === String(imageId))) return null;
+
+  const images = job.images.map(img => {
+    const entry = img.toObject();
+    const isTarget = String(entry._id) === String(imageId);
+    if (isTarget && caption !== undefined) entry.caption = caption;
+    if (isCover) entry.isCover = isTarget;
+    return entry;
+  });
+
+  return Job.findOneAndUpdate(
+    { _id: job._id, images: { $size: job.images.length }, 'images._id': imageId },
+    { $set: { images, updatedAt: new Date() } },
+    { new: true, session }
+  );
+};
@@ -0,0 +1,293 @@
+// services/jobImportService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Job from '../models/Job.js';
+import { validateJobPost } from '../middleware/validation.js';
+import { geocodePostcodes } from './geoService.js';
+import { parseBudget } from './jobService.js';
+import { emitJobEvent } from './jobEvents.js';
+import { expiryDateFor } from './jobLifecycle.js';
+import { recordJobHistory } from './jobHistoryService.js';
+import { notifyMatchingSearches } from './notificationService.js';
+import { moderateContent } from './moderationService.js';
+import { parseCsv } from '../utils/csv.js';
+import { normalisePostcode } from '../utils/postcode.js';
+import { envInt } from '../utils/env.js';
+import { logger } from '../utils/logger.js';
+
+export const IMPORT_MAX_ROWS = envInt('IMPORT_MAX_ROWS', 1000);
+
+/**
+ * Columns an import row can use. Names match the export where they overlap, so an
+ * export can be edited and imported again. availability is "start/end" windows separated by ";".
+ * A budget is budgetPence (fixed) or budgetMinPence and budgetMaxPence (a range).
+ */
+export const IMPORT_COLUMNS = [
+  'externalRef', 'title', 'description', 'category', 'postcode', 'urgency',
+  'budgetPence', 'budgetKind', 'budgetMinPence', 'budgetMaxPence', 'availability'
+];
+
+const MAX_EXTERNAL_REF_LENGTH = 200;
+
+/**
+ * Split an uploaded file into rows
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {Object} - { rows: [{ line, values, error }], unknownColumns }
+ * @throws {Error} - When a CSV file cannot be read at all
+ */
+export const parseImport = (text, format) => {
+  let rows, columns;
+
+  if (format === 'ndjson') {
+    rows = [];
+    const keys = new Set();
+    text.split(/\r?\n/).forEach((raw, i) => {
+      if (!raw.trim()) return;
+      try {
+        const values = JSON.parse(raw);
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+          rows.push({ line: i + 1, values: {}, error: 'Line must be a JSON object' });
+          return;
+        }
+        Object.keys(values).forEach(k => keys.add(k));
+        rows.push({ line: i + 1, values });
+      } catch {
+        rows.push({ line: i + 1, values: {}, error: 'Line is not valid JSON' });
+      }
+    });
+    columns = [...keys];
+  } else {
+    ({ rows, columns } = parseCsv(text));
+  }
+
+  return { rows, unknownColumns: columns.filter(c => !IMPORT_COLUMNS.includes(c)) };
+};
+
+const blank = (value) => value === undefined || value === null || value === '';
+
+// Scalars only, so a JSON row can't smuggle objects into string fields
+const scalar = (value) => (blank(value) || typeof value === 'object' ? undefined : String(value).trim());
+
+// "start/end;start/end", or from JSON a list of those strings or of { start, end }
+const parseWindows = (value) => {
+  if (blank(value)) return undefined;
+  const windows = Array.isArray(value) ? value : String(value).split(';').filter(w => w.trim());
+  return windows.map(w => {
+    if (typeof w !== 'string') return { start: scalar(w?.start), end: scalar(w?.end) };
+    const [start, end] = w.trim().split('/');
+    return { start, end };
+  });
+};
+
+// Map a row to the request body postJobs accepts
+const toJobBody = (values) => {
+  const body = {
+    title: scalar(values.title),
+    description: scalar(values.description),
+    category: scalar(values.category),
+    location: { postcode: scalar(values.postcode) },
+  };
+
+  if (!blank(values.urgency)) body.urgency = scalar(values.urgency);
+
+  const [amount, min, max] = [values.budgetPence, values.budgetMinPence, values.budgetMaxPence].map(scalar);
+  if (amount !== undefined) body.budget = { amount };
+  else if (min !== undefined || max !== undefined) {
+    body.budget = scalar(values.budgetKind) === 'fixed' ? { amount: min ?? max } : { min, max };
+  }
+
+  const availability = parseWindows(values.availability);
+  if (availability) body.availability = availability;
+  return body;
+};
+
+// Run a body through the validateJobPost chains, outside of a request
+const validateBody = async (body) => {
+  const req = { body };
+  for (const chain of validateJobPost) await chain.run(req);
+  const errors = validationResult(req).array().map(e => ({ field: e.path, message: e.msg }));
+  return { body: req.body, errors };
+};
+
+// Identifies a row across retries: the partner's own reference, or else the job's content
+const importKeyFor = (externalRef, body) => {
+  if (externalRef) return `ref:${externalRef}`;
+  const content = [
+    body.title, body.description, body.category, normalisePostcode(body.location.postcode),
+    body.budget || null, body.urgency || null, body.availability || []
+  ];
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')}`;
+};
+
+/**
+ * Check, and optionally create, the jobs in an import.
+ * Rows already imported for the customer are reported as 'exists' and left alone,
+ * so re-sending the same file after a failure only creates what is missing.
+ * @param {Array} rows - Rows from parseImport
+ * @param {Object} options - { customerId, actorId, commit } where commit false is a dry run
+ * @returns {Promise<Object>} - { summary: { rows, valid, invalid, created, exists, duplicate },
+ *                              rows: [{ row, line, status, externalRef, jobId, errors, warnings }] }
+ */
+export const importJobs = async (rows, { customerId, actorId, commit = false }) => {
+  const results = await Promise.all(rows.map(async ({ line, values, error }, i) => {
+    const result = { row: i + 1, line, status: 'invalid', externalRef: null, jobId: null, errors: [], warnings: [] };
+    if (error) {
+      result.errors.push({ field: null, message: error });
+      return result;
+    }
+
+    result.externalRef = scalar(values.externalRef) || null;
+    if (result.externalRef?.length > MAX_EXTERNAL_REF_LENGTH) {
+      result.errors.push({ field: 'externalRef', message: `externalRef must be at most ${MAX_EXTERNAL_REF_LENGTH} characters` });
+    }
+
+    const { body, errors } = await validateBody(toJobBody(values));
+    result.errors.push(...errors);
+    result.body = body;
+
+    // Same moderation as postJobs: rejected rows are invalid, held rows are imported hidden until approved
+    if (errors.length === 0) {
+      const moderation = moderateContent({ title: body.title, description: body.description });
+      const rules = [...new Set(moderation.flags.map(f => f.rule))].join(', ');
+      if (moderation.action === 'reject') {
+        result.errors.push({ field: null, message: `Breaks our posting rules (${rules})` });
+      } else {
+        Object.assign(body, moderation.fields);
+        result.moderation = moderation;
+        if (moderation.action === 'redact') result.warnings.push(`Text matching our ${rules} rules was removed`);
+        if (moderation.action === 'hold') result.warnings.push(`Will be held for review before it is shown (${rules})`);
+      }
+    }
+    return result;
+  }));
+
+  // Geocode every valid row's postcode in one go
+  const pending = results.filter(r => r.errors.length === 0);
+  const lookups = await geocodePostcodes(pending.map(r => r.body.location.postcode));
+  for (const result of pending) {
+    const lookup = lookups.get(result.body.location.postcode);
+    if (lookup.status === 'unavailable') {
+      result.errors.push({ field: 'location.postcode', message: 'Postcode lookup is temporarily unavailable, retry the import' });
+    } else if (lookup.status !== 'ok') {
+      result.errors.push({ field: 'location.postcode', message: `Postcode not found: ${result.body.location.postcode}` });
+    } else {
+      result.geo = lookup.result;
+      if (result.geo.precision === 'outcode') {
+        result.warnings.push(`Postcode not recognised, the job will be placed at the centre of ${result.geo.postcode.split(' ')[0]}`);
+      }
+      result.importKey = importKeyFor(result.externalRef, result.body);
+    }
+  }
+
+  // The same job twice in one file is only imported once
+  const firstRowForKey = new Map();
+  for (const result of results.filter(r => r.importKey)) {
+    const first = firstRowForKey.get(result.importKey);
+    if (first) {
+      result.status = 'duplicate';
+      result.warnings.push(`Same job as row ${first.row}, skipped`);
+      delete result.importKey;
+    } else {
+      firstRowForKey.set(result.importKey, result);
+    }
+  }
+
+  const findExisting = async (keys) => {
+    const existing = await Job.find({ customerId, importKey: { $in: keys } }).select('importKey');
+    return new Map(existing.map(job => [job.importKey, job._id]));
+  };
+
+  const existing = await findExisting([...firstRowForKey.keys()]);
+  const toCreate = [];
+  for (const [key, result] of firstRowForKey) {
+    if (existing.has(key)) {
+      result.status = 'exists';
+      result.jobId = existing.get(key);
+    } else {
+      result.status = 'valid';
+      toCreate.push(result);
+    }
+  }
+
+  if (commit && toCreate.length > 0) {
+    const jobs = toCreate.map(result => new Job({
+      title: result.body.title,
+      description: result.body.description,
+      category: result.body.category,
+      customerId,
+      location: {
+        type: "Point",
+        coordinates: result.geo.coordinates,
+        postcode: result.geo.postcode,
+        precision: result.geo.precision,
+      },
+      budget: parseBudget(result.body.budget),
+      urgency: result.body.urgency,
+      availability: result.body.availability,
+      expiresAt: expiryDateFor(result.body.category),
+      importKey: result.importKey,
+      visibility: result.moderation.action === 'hold' ? 'pending_review' : 'visible',
+      moderation: result.moderation.action === 'hold'
+        ? { flags: result.moderation.flags, queuedAt: new Date() }
+        : { flags: result.moderation.flags, publishedAt: new Date() },
+    }));
+
+    // Upsert on the import key: a row someone else imported in the meantime is matched, not duplicated.
+    // The new jobs' 'created' history entries are written in the same transaction.
+    let created = new Set();
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const outcome = await Job.bulkWrite(jobs.map(job => ({
+          updateOne: {
+            filter: { customerId, importKey: job.importKey },
+            update: { $setOnInsert: job.toObject() },
+            upsert: true
+          }
+        })), { ordered: false, timestamps: false, session });
+
+        created = new Set(Object.keys(outcome.upsertedIds || {}).map(Number));
+        for (const i of created) {
+          await recordJobHistory('created', { after: jobs[i], actorId, reason: 'Bulk import', session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const raced = await findExisting(toCreate.filter((_, i) => !created.has(i)).map(r => r.importKey));
+
+    for (const [i, result] of toCreate.entries()) {
+      if (created.has(i)) {
+        result.status = 'created';
+        result.jobId = jobs[i]._id;
+        if (jobs[i].visibility === 'visible') {
+          notifyMatchingSearches(jobs[i], 'created').catch(err => logger.error("Saved search alert error", { err }));
+          await emitJobEvent('job.created', jobs[i], { actorId, source: 'import' });
+        } else {
+          await emitJobEvent('job.held', jobs[i], { actorId, flags: jobs[i].moderation.flags });
+        }
+      } else {
+        result.status = 'exists';
+        result.jobId = raced.get(result.importKey) || null;
+      }
+    }
+  }
+
+  const report = results.map(({ body, geo, importKey, moderation, ...result }) => result);
+  const count = (status) => report.filter(r => r.status === status).length;
+
+  return {
+    summary: {
+      rows: report.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      created: count('created'),
+      exists: count('exists'),
+      duplicate: count('duplicate'),
+    },
+    rows: report
+  };
+};
@@ -0,0 +1,102 @@
+// services/jobLifecycle.js
+import Job from '../models/Job.js';
+import { emitJobEvent, TRANSITION_EVENTS } from './jobEvents.js';
+import { withJobHistory } from './jobHistoryService.js';
+import { envInt } from '../utils/env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days an open job stays listed before it expires.
+ * JOB_TTL_DAYS sets the default and JOB_TTL_DAYS_<CATEGORY> overrides it, e.g. JOB_TTL_DAYS_CLEANING=14.
+ * @param {string|null} category - Job category, or null for the default
+ * @returns {number} - Time to live in days
+ */
+export const ttlDaysFor = (category) => {
+  const fallback = envInt('JOB_TTL_DAYS', 30);
+  return category ? envInt(`JOB_TTL_DAYS_${category.toUpperCase()}`, fallback) : fallback;
+};
+
+/**
+ * When a job listed now (or at the given time) should expire
+ * @param {string} category - Job category
+ * @param {Date} from - When the job was listed
+ * @returns {Date} - Expiry time
+ */
+export const expiryDateFor = (category, from = new Date()) =>
+  new Date(from.getTime() + ttlDaysFor(category) * DAY_MS);
+
+/**
+ * Allowed status transitions, keyed by action name.
+ * Each action lists the statuses it may start from, the status it moves to
+ * and the timestamp field recorded on the job when it happens.
+ */
+export const JOB_TRANSITIONS = {
+  accept: { from: ['open'], to: 'accepted', timestamp: 'acceptedAt' },
+  start: { from: ['accepted'], to: 'in_progress', timestamp: 'startedAt' },
+  complete: { from: ['in_progress'], to: 'completed', timestamp: 'completedAt' },
+  cancel: { from: ['open', 'accepted', 'in_progress'], to: 'cancelled', timestamp: 'cancelledAt' },
+  reopen: { from: ['accepted', 'cancelled'], to: 'open', timestamp: 'reopenedAt' },
+  expire: { from: ['open'], to: 'expired', timestamp: 'expiredAt' },
+};
+
+/**
+ * Check whether an action is allowed from the given status
+ * @param {string} status - Current job status
+ * @param {string} action - Transition name (accept, start, complete, cancel, reopen, expire)
+ * @returns {boolean} - True if the transition is legal
+ */
+export const canTransition = (status, action) => {
+  const rule = JOB_TRANSITIONS[action];
+  return Boolean(rule && rule.from.includes(status));
+};
+
+/**
+ * Apply a status transition to a job
+ * The update only matches while the job still has the status it was read with and is not deleted,
+ * so two concurrent transitions cannot both succeed.
+ * Records the change in the job's history in the same transaction and then emits the matching job event,
+ * except inside a session, where the caller records the history in its transaction and emits after commit.
+ * @param {Object} job - Current job document
+ * @param {string} action - Transition name
+ * @param {Object} options - { actorId, tradesmanId, quoteId, reason, session }
+ * @returns {Promise<Object|null>} - Updated job, or null if the status changed or the job was deleted in the meantime
+ */
+export const transitionJob = async (job, action, { actorId = null, tradesmanId = null, quoteId = null, reason = null, session = null } = {}) => {
+  const rule = JOB_TRANSITIONS[action];
+  const now = new Date();
+
+  const set = { status: rule.to, [rule.timestamp]: now, updatedAt: now };
+  if (action === 'accept') {
+    set.tradesmanId = tradesmanId;
+    set.acceptedQuoteId = quoteId;
+  }
+  if (action === 'reopen') {
+    set.tradesmanId = null;        // Released back to the marketplace
+    set.acceptedQuoteId = null;
+    set.expiresAt = expiryDateFor(job.category, now);
+    set.expiryReminderSentAt = null;
+  }
+  if (action === 'cancel') set.cancellationReason = reason;
+
+  const update = (txn) => Job.findOneAndUpdate(
+    { _id: job._id, status: job.status, deletedAt: null },
+    {
+      $set: set,
+      $push: {
+        statusHistory: { from: job.status, to: rule.to, action, reason, actorId, at: now }
+      }
+    },
+    { new: true, session: txn }
+  );
+  if (session) return update(session);
+
+  const recorded = await withJobHistory('status_changed', async (txn) => {
+    const updatedJob = await update(txn);
+    return updatedJob && { before: job, after: updatedJob };
+  }, { actorId, reason });
+  if (!recorded) return null;
+
+  await emitJobEvent(TRANSITION_EVENTS[action], recorded.after, { actorId, reason, previousStatus: job.status });
+  return recorded.after;
+};
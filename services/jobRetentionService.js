@@ -0,0 +1,85 @@
+// services/jobRetentionService.js
+import Job from '../models/Job.js';
+import Quote from '../models/Quote.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import { destroyJobImage } from '../utils/imageUpload.js';
+import { withJobHistory } from './jobHistoryService.js';
+import { envInt } from '../utils/env.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention settings, all overridable from the environment
+const config = {
+  retentionDays: envInt('JOB_RETENTION_DAYS', 30), // Soft-deleted jobs can be restored for this long
+  pollIntervalMs: envInt('JOB_RETENTION_POLL_INTERVAL_MS', 60 * 60 * 1000),
+  batchSize: envInt('JOB_RETENTION_BATCH_SIZE', 50),
+};
+
+/**
+ * Last moment a soft-deleted job can still be restored
+ * @param {Date} deletedAt - When the job was deleted
+ * @returns {Date} - When the job will be purged
+ */
+export const purgeDateFor = (deletedAt) => new Date(deletedAt.getTime() + config.retentionDays * DAY_MS);
+
+/**
+ * Permanently remove jobs deleted longer ago than the retention period,
+ * along with their quotes, notifications, messages and images.
+ * The audit trail is kept, with a final 'purged' entry.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of jobs purged
+ */
+export const purgeDeletedJobs = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - config.retentionDays * DAY_MS);
+  const due = await Job.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(config.batchSize);
+
+  let purged = 0;
+  for (const job of due) {
+    // Remove the record first, so a job restored in the meantime keeps its images; the final entry goes with it
+    const recorded = await withJobHistory('purged', async (session) => {
+      const removed = await Job.findOneAndDelete({ _id: job._id, deletedAt: { $ne: null, $lte: cutoff } }, { session });
+      return removed && { before: removed };
+    }, { reason: `Deleted more than ${config.retentionDays} days ago` });
+    if (!recorded) continue;
+    const { before: removed } = recorded;
+
+    const attachments = (await Message.find({ jobId: removed._id }).select('attachments').lean())
+      .flatMap(m => m.attachments);
+    await Promise.all([
+      Quote.deleteMany({ jobId: removed._id }),
+      Notification.deleteMany({ jobId: removed._id }),
+      Message.deleteMany({ jobId: removed._id }),
+    ]);
+
+    // Anything left behind here is found by the media reconciliation script
+    const results = await Promise.allSettled([...removed.images, ...attachments].map(destroyJobImage));
+    results.filter(r => r.status === 'rejected')
+      .forEach(r => logger.error('Job image purge error', { jobId: removed._id, err: r.reason }));
+
+    purged++;
+  }
+  return purged;
+};
+
+/**
+ * Purge expired soft-deleted jobs on a timer
+ * @returns {Object} - Timer handle, pass to clearInterval to stop polling
+ */
+export const startJobRetentionWorker = () => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Previous purge still going
+    running = true;
+    try {
+      await purgeDeletedJobs();
+    } catch (err) {
+      logger.error('Job retention purge error', { err });
+    } finally {
+      running = false;
+    }
+  }, config.pollIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,5 +1,114 @@
 // Import the Job model for database operations
-import Job from '../models/Job.js';
+import Job, { atVersion } from '../models/Job.js';
+import { afterCursor } from '../utils/cursor.js';
+import { EARTH_RADIUS_METERS } from '../utils/geo.js';
+
+const LIST_FIELDS = "title description status customerId location category budget urgency availability images createdAt version";
+
+/**
+ * Sort orders for job listings. Every sort breaks ties on _id so cursors are stable.
+ * distance needs a location and relevance needs a keyword search.
+ */
+export const JOB_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  budget: { field: 'budget.max', direction: -1 },   // Highest budget first, in pence
+  distance: { field: 'distance', direction: 1 },    // Closest first
+  relevance: { field: 'score', direction: -1 },     // Best text match first
+};
+
+// Soft-deleted jobs are left out of every query unless asked for
+const withoutDeleted = (filter) => ({ ...filter, deletedAt: null });
+
+// Add a $text condition to a filter when a search string is given
+const withTextSearch = (filter, q) => (q ? { ...filter, $text: { $search: q } } : filter);
+
+// Radius condition usable alongside $text, which $geoNear does not allow
+const withinRadius = (coordinates, maxDistance) => ({
+  $geoWithin: { $centerSphere: [coordinates, maxDistance / EARTH_RADIUS_METERS] }
+});
+
+/**
+ * Opening stages for counting matches: $geoNear within the radius, or a $match when searching
+ * @param {Object} filter - MongoDB query filter
+ * @param {Object|undefined} geo - { coordinates, maxDistance } or nothing for no radius
+ * @param {string|undefined} q - Keyword search
+ * @returns {Array} - Aggregation stages
+ */
+const countStages = (filter, geo, q) => {
+  filter = withoutDeleted(filter);
+  if (geo && !q) {
+    return [{
+      $geoNear: {
+        near: { type: "Point", coordinates: geo.coordinates }, // Center point for search
+        distanceField: "distance",            // Add distance field (required but not used in count)
+        maxDistance: geo.maxDistance,         // Maximum search radius in meters
+        spherical: true,                      // Use spherical geometry
+        query: filter                         // Apply additional filters
+      }
+    }];
+  }
+
+  const match = withTextSearch(filter, q);
+  if (geo) match.location = withinRadius(geo.coordinates, geo.maxDistance);
+  return [{ $match: match }];
+};
+
+/**
+ * Build the listing pipeline shared by findJobs and findJobsNearLocation
+ * @param {Object} options - { filter, geo: { coordinates, maxDistance }, q, sort, cursor, skip, limit }
+ * @returns {Array} - Aggregation pipeline
+ */
+const buildListPipeline = ({ filter, geo, q, sort, cursor, skip, limit }) => {
+  const { field, direction } = JOB_SORTS[sort];
+  filter = withoutDeleted(filter);
+  const pipeline = [];
+
+  if (geo && !q) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: "Point", coordinates: geo.coordinates }, // Center point for search
+        distanceField: "distance",            // Add distance field to each result
+        maxDistance: geo.maxDistance,         // Maximum search radius in meters
+        // Let the index skip results before the cursor when paging by distance
+        ...(sort === 'distance' && cursor ? { minDistance: cursor.value } : {}),
+        spherical: true,                      // Use spherical geometry for accurate distances
+        query: filter                         // Apply additional filters (category, status, etc.)
+      }
+    });
+  } else {
+    // $text must be in the first stage, and cannot be combined with $geoNear
+    const match = withTextSearch(filter, q);
+    if (geo) match.location = withinRadius(geo.coordinates, geo.maxDistance);
+    pipeline.push({ $match: match });
+    if (q) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  if (cursor) pipeline.push({ $match: afterCursor(field, direction, cursor) });
+  pipeline.push({ $sort: { [field]: direction, _id: direction } });
+  if (!cursor && skip) pipeline.push({ $skip: skip }); // Page numbers still work, cursors avoid the skip
+  pipeline.push({ $limit: limit });
+  pipeline.push({
+    $project: {
+      ...Object.fromEntries(LIST_FIELDS.split(' ').map(f => [f, 1])),
+      distance: 1,
+      score: 1
+    }
+  });
+
+  return pipeline;
+};
+
+/**
+ * Turn a validated { amount } or { min, max } budget into the stored shape
+ * @param {Object|null} budget - Budget from the request body, in pence
+ * @returns {Object|null} - { kind: 'fixed' | 'range', min, max } or null for no budget
+ */
+export const parseBudget = (budget) => {
+  if (!budget) return null;
+  if (budget.amount !== undefined) return { kind: 'fixed', min: budget.amount, max: budget.amount };
+  return { kind: 'range', min: budget.min, max: budget.max };
+};
 
 /**
  * Create a new job in the database
@@ -16,67 +125,40 @@ export const createJob = async (data) => {
 /**
  * Find jobs with filtering, sorting, and pagination
  * @param {Object} filter - MongoDB query filter (e.g., { status: "open", category: "plumbing" })
- * @param {number} skip - Number of documents to skip for pagination
+ * @param {number} skip - Number of documents to skip for pagination (ignored when a cursor is given)
  * @param {number} limit - Maximum number of documents to return
- * @returns {Promise<Array>} - Array of job documents
+ * @param {Object} options - { q, sort, cursor } keyword search, a JOB_SORTS name, and a decoded cursor
+ * @returns {Promise<Array>} - Array of job documents (with a text score when searching)
  */
-export const findJobs = async (filter, skip = 0, limit = 10) => {
-  return Job.find(filter)
-    .sort({ createdAt: -1 }) // Sort by newest first
-    .skip(skip)              // Skip documents for pagination
-    .limit(limit)            // Limit number of results
-    .select("title description status customerId location category createdAt"); // Only return specific fields
+export const findJobs = async (filter, skip = 0, limit = 10, { q, sort = q ? 'relevance' : 'newest', cursor } = {}) => {
+  return Job.aggregate(buildListPipeline({ filter, q, sort, cursor, skip, limit }));
 };
 
 /**
  * Find jobs near a specific location using geospatial query
- * Uses MongoDB aggregation pipeline with $geoNear for efficient location-based searches
+ * Uses $geoNear, so each result carries its distance in meters from the center point.
+ * $geoNear cannot be combined with $text, so keyword searches use a $geoWithin radius
+ * instead and have no distance field.
  * @param {Array} coordinates - [longitude, latitude] array of the center point
  * @param {number} maxDistance - Maximum distance in meters from the center point
  * @param {Object} filter - Additional filters (e.g., category, status)
- * @param {number} skip - Number of documents to skip for pagination
+ * @param {number} skip - Number of documents to skip for pagination (ignored when a cursor is given)
  * @param {number} limit - Maximum number of documents to return
+ * @param {Object} options - { q, sort, cursor } keyword search, a JOB_SORTS name, and a decoded cursor
  * @returns {Promise<Array>} - Array of job documents with distance information
  */
-export const findJobsNearLocation = async (coordinates, maxDistance, filter = {}, skip = 0, limit = 10) => {
-  // Create aggregation pipeline for geospatial query
-  const aggregationPipeline = [
-    {
-      $geoNear: {
-        near: { type: "Point", coordinates }, // Center point for search
-        distanceField: "distance",            // Add distance field to each result
-        maxDistance: maxDistance,             // Maximum search radius in meters
-        spherical: true,                      // Use spherical geometry for accurate distances
-        query: filter                         // Apply additional filters (category, status, etc.)
-      }
-    },
-    { $sort: { createdAt: -1 } },            // Sort by newest jobs first
-    { $skip: skip },                         // Pagination: skip documents
-    { $limit: limit },                       // Pagination: limit results
-    {
-      $project: {                            // Shape the output document
-        title: 1,                            // Include title field
-        description: 1,                      // Include description field
-        status: 1,                           // Include status field
-        customerId: 1,                       // Include customerId field
-        location: 1,                         // Include location field (with coordinates and postcode)
-        category: 1,                         // Include category field
-        createdAt: 1                         // Include createdAt field
-      }
-    }
-  ];
-
-  // Execute the aggregation pipeline
-  return Job.aggregate(aggregationPipeline);
+export const findJobsNearLocation = async (coordinates, maxDistance, filter = {}, skip = 0, limit = 10, { q, sort = q ? 'relevance' : 'newest', cursor } = {}) => {
+  return Job.aggregate(buildListPipeline({ filter, geo: { coordinates, maxDistance }, q, sort, cursor, skip, limit }));
 };
 
 /**
  * Count total number of jobs matching the filter criteria
  * @param {Object} filter - MongoDB query filter
+ * @param {Object} options - { q } keyword search
  * @returns {Promise<number>} - Count of matching documents
  */
-export const countJobs = async (filter) => {
-  return Job.countDocuments(filter);
+export const countJobs = async (filter, { q } = {}) => {
+  return Job.countDocuments(withTextSearch(withoutDeleted(filter), q));
 };
 
 /**
@@ -85,19 +167,12 @@ export const countJobs = async (filter) => {
  * @param {Array} coordinates - [longitude, latitude] array of the center point
  * @param {number} maxDistance - Maximum distance in meters from the center point
  * @param {Object} filter - Additional filters (e.g., category, status)
+ * @param {Object} options - { q } keyword search
  * @returns {Promise<number>} - Count of jobs within the specified radius
  */
-export const countJobsNearLocation = async (coordinates, maxDistance, filter = {}) => {
+export const countJobsNearLocation = async (coordinates, maxDistance, filter = {}, { q } = {}) => {
   const aggregationPipeline = [
-    {
-      $geoNear: {
-        near: { type: "Point", coordinates }, // Center point for search
-        distanceField: "distance",            // Add distance field (required but not used in count)
-        maxDistance: maxDistance,             // Maximum search radius in meters
-        spherical: true,                      // Use spherical geometry
-        query: filter                         // Apply additional filters
-      }
-    },
+    ...countStages(filter, { coordinates, maxDistance }, q),
     { $count: "count" } // MongoDB stage to count documents and return { count: number }
   ];
 
@@ -106,37 +181,119 @@ export const countJobsNearLocation = async (coordinates, maxDistance, filter = {
   return result[0]?.count || 0; // Return 0 if no results found
 };
 
+/**
+ * Count matching jobs per category and per urgency, for search facets.
+ * Each facet ignores its own filter, so picking a category still shows how many jobs the others have.
+ * @param {Object} filter - MongoDB query filter, as used by findJobs
+ * @param {Object} options - { geo: { coordinates, maxDistance }, q } optional radius and keyword search
+ * @returns {Promise<Object>} - { total, category: [{ value, count }], urgency: [{ value, count }] }
+ */
+export const facetJobs = async (filter, { geo, q } = {}) => {
+  const { category, urgency, ...base } = filter;
+  const only = (conditions) => {
+    const match = Object.fromEntries(Object.entries(conditions).filter(([, v]) => v !== undefined));
+    return Object.keys(match).length ? [{ $match: match }] : [];
+  };
+  const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+    { $sort: { count: -1, value: 1 } }
+  ];
+
+  const [result] = await Job.aggregate([
+    ...countStages(base, geo, q),
+    {
+      $facet: {
+        category: [...only({ urgency }), ...countBy("category")],
+        urgency: [...only({ category }), ...countBy("urgency")],
+        total: [...only({ category, urgency }), { $count: "count" }]
+      }
+    }
+  ]);
+
+  return { total: result.total[0]?.count || 0, category: result.category, urgency: result.urgency };
+};
+
+/**
+ * Open a cursor over every matching job, newest first, for streaming exports
+ * @param {Object} filter - MongoDB query filter
+ * @param {Object} options - { geo: { coordinates, maxDistance }, q, fields } optional radius, keyword search and projection
+ * @returns {Object} - Mongoose query cursor yielding lean job documents
+ */
+export const streamJobs = (filter, { geo, q, fields } = {}) => {
+  const match = withTextSearch(withoutDeleted(filter), q);
+  if (geo) match.location = withinRadius(geo.coordinates, geo.maxDistance);
+  return Job.find(match)
+    .select(fields)
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+};
+
 /**
  * Find a single job by its MongoDB ID
  * @param {string} id - MongoDB ObjectId of the job
+ * @param {Object} options - { includeDeleted } to also find soft-deleted jobs
  * @returns {Promise<Object|null>} - Job document or null if not found
  */
-export const findJobById = async (id) => {
-  return Job.findById(id);
+export const findJobById = async (id, { includeDeleted = false } = {}) => {
+  return Job.findOne(includeDeleted ? { _id: id } : withoutDeleted({ _id: id }));
+};
+
+/**
+ * Find a customer's or tradesman's jobs, newest first
+ * @param {Object} filter - { customerId } or { tradesmanId }
+ * @returns {Promise<Array>} - Array of job documents
+ */
+export const findJobsFor = async (filter) => {
+  return Job.find(withoutDeleted(filter)).sort({ createdAt: -1 });
 };
 
 /**
  * Update a job by its ID
  * @param {string} id - MongoDB ObjectId of the job to update
  * @param {Object} updates - Field-value pairs to update
+ * @param {Object} options - { session } to update inside a transaction
  * @returns {Promise<Object|null>} - Updated job document or null if not found
  */
-export const updateJobById = async (id, updates) => {
-  return Job.findByIdAndUpdate(
-    id, 
+export const updateJobById = async (id, updates, { session } = {}) => {
+  return Job.findOneAndUpdate(
+    withoutDeleted({ _id: id }),
     { ...updates, updatedAt: Date.now() }, // Spread updates and set updatedAt timestamp
     { 
       new: true,         // Return the updated document instead of the original
-      runValidators: true // Run model validators on update
+      runValidators: true, // Run model validators on update
+      session
     }
   );
 };
 
 /**
- * Delete a job by its ID
+ * Soft-delete a job by its ID; it is hidden until restored or purged
  * @param {string} id - MongoDB ObjectId of the job to delete
- * @returns {Promise<Object|null>} - Deleted job document or null if not found
+ * @param {string} deletedBy - Who deleted it
+ * @param {Object} options - { version } to only delete the job if it is still at that version, { session } for a transaction
+ * @returns {Promise<Object|null>} - Deleted job document or null if not found, already deleted or changed
+ */
+export const deleteJobById = async (id, deletedBy, { version, session } = {}) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    withoutDeleted({ _id: id, ...(version !== undefined && atVersion(version)) }),
+    { $set: { deletedAt: now, deletedBy, updatedAt: now } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Bring back a soft-deleted job
+ * @param {string} id - MongoDB ObjectId of the job
+ * @param {Object} options - { session } to restore inside a transaction
+ * @returns {Promise<Object|null>} - Restored job document or null if it is not deleted
  */
-export const deleteJobById = async (id) => {
-  return Job.findByIdAndDelete(id);
+export const restoreJobById = async (id, { session } = {}) => {
+  return Job.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, updatedAt: new Date() } },
+    { new: true, session }
+  );
 };
\ No newline at end of file
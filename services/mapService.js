@@ -0,0 +1,112 @@
+// Import the Job model for database operations
+import Job from '../models/Job.js';
+import { geocodeOutcodes } from './geoService.js';
+import { getOutcode } from '../utils/postcode.js';
+
+// Used when a district centre can't be looked up: snap to a grid about 5km across instead
+const FALLBACK_GRID_DEGREES = 0.05;
+
+/**
+ * Query condition for points inside a bounding box
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} - $geoWithin condition for the 2dsphere location index
+ */
+const withinBounds = ([minLng, minLat, maxLng, maxLat]) => ({
+  $geoWithin: {
+    $geometry: {
+      type: "Polygon",
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    }
+  }
+});
+
+/**
+ * Find individual jobs inside a bounding box
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {Object} filter - Additional filters (e.g., status, category)
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Promise<Array>} - Job documents with the fields the map shows
+ */
+export const findJobsInBounds = async (bbox, filter, limit) => {
+  return Job.find({ ...filter, deletedAt: null, location: withinBounds(bbox) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("title category status urgency budget location createdAt")
+    .lean();
+};
+
+/**
+ * Count jobs inside a bounding box
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {Object} filter - Additional filters
+ * @returns {Promise<number>} - Number of matching jobs
+ */
+export const countJobsInBounds = async (bbox, filter) => {
+  return Job.countDocuments({ ...filter, deletedAt: null, location: withinBounds(bbox) });
+};
+
+/**
+ * Group jobs inside a bounding box into square grid cells.
+ * Each cell is reported at its centre, so no job's own coordinates are exposed.
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {Object} filter - Additional filters
+ * @param {number} cellSize - Cell width and height in degrees
+ * @returns {Promise<Array>} - [{ cell: [x, y], count, categories: { plumbing: 3, ... } }]
+ */
+export const clusterJobsInBounds = async (bbox, filter, cellSize) => {
+  const cells = await Job.aggregate([
+    { $match: { ...filter, deletedAt: null, location: withinBounds(bbox) } },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [{ $arrayElemAt: ["$location.coordinates", 0] }, cellSize] } },
+          y: { $floor: { $divide: [{ $arrayElemAt: ["$location.coordinates", 1] }, cellSize] } },
+          category: "$category"
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: { x: "$_id.x", y: "$_id.y" },
+        count: { $sum: "$count" },
+        categories: { $push: { k: "$_id.category", v: "$count" } }
+      }
+    },
+    { $project: { _id: 0, cell: ["$_id.x", "$_id.y"], count: 1, categories: { $arrayToObject: "$categories" } } }
+  ]);
+
+  return cells;
+};
+
+/**
+ * Coordinates that are safe to show publicly for each job.
+ * Until a job is accepted it is placed at the centre of its postcode district, never at the address itself.
+ * @param {Array} jobs - Job documents with status and location
+ * @returns {Promise<Map>} - Map of job id to { coordinates: [lng, lat], precision: 'exact' | 'outcode' }
+ */
+export const publicLocations = async (jobs) => {
+  const hidden = jobs.filter(job => job.status === 'open');
+  const centres = await geocodeOutcodes(hidden.map(job => getOutcode(job.location.postcode)));
+
+  const snap = (value) => Number((Math.round(value / FALLBACK_GRID_DEGREES) * FALLBACK_GRID_DEGREES).toFixed(2));
+  const locations = new Map();
+  for (const job of jobs) {
+    if (job.status !== 'open') {
+      locations.set(String(job._id), { coordinates: job.location.coordinates, precision: 'exact' });
+      continue;
+    }
+    const centre = centres.get(getOutcode(job.location.postcode));
+    locations.set(String(job._id), {
+      coordinates: centre || job.location.coordinates.map(snap),
+      precision: 'outcode'
+    });
+  }
+  return locations;
+};
@@ -0,0 +1,62 @@
+// Import the models for database operations
+import Job from '../models/Job.js';
+import Message from '../models/Message.js';
+import { getMediaStorage } from './mediaStorage.js';
+
+/**
+ * Compare stored media with the job images and message attachments that reference it.
+ * Orphans are stored files nothing references; missing are references whose file is gone.
+ * Files younger than the grace period are ignored, since they may belong to an upload still in progress.
+ * @param {Object} options - { deleteOrphans, pruneMissing, graceMinutes }
+ * @returns {Promise<Object>} - { storage, stored, referenced, orphans, missing, deleted, pruned }
+ */
+export const reconcileMedia = async ({ deleteOrphans = false, pruneMissing = false, graceMinutes = 60 } = {}) => {
+  const storage = getMediaStorage();
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+
+  // Every image reference, keyed by public_id
+  const referenced = new Map();
+  const cursor = Job.find({ 'images.public_id': { $ne: null } }).select('images').lean().cursor();
+  for await (const job of cursor) {
+    for (const image of job.images) {
+      if (image.public_id) referenced.set(image.public_id, { jobId: job._id, imageId: image._id });
+    }
+  }
+  const messages = Message.find({ 'attachments.public_id': { $ne: null } }).select('attachments').lean().cursor();
+  for await (const message of messages) {
+    for (const attachment of message.attachments) {
+      if (attachment.public_id) referenced.set(attachment.public_id, { messageId: message._id, attachmentId: attachment._id });
+    }
+  }
+
+  const stored = new Set();
+  const orphans = [];
+  for await (const file of storage.list()) {
+    stored.add(file.public_id);
+    if (!referenced.has(file.public_id) && file.createdAt < cutoff) orphans.push(file.public_id);
+  }
+
+  const missing = [...referenced]
+    .filter(([publicId]) => !stored.has(publicId))
+    .map(([publicId, ref]) => ({ public_id: publicId, ...ref }));
+
+  let deleted = 0;
+  if (deleteOrphans) {
+    for (const publicId of orphans) {
+      await storage.remove(publicId);
+      deleted++;
+    }
+  }
+
+  let pruned = 0;
+  if (pruneMissing) {
+    for (const ref of missing) {
+      const res = ref.messageId
+        ? await Message.updateOne({ _id: ref.messageId }, { $pull: { attachments: { _id: ref.attachmentId } } })
+        : await Job.updateOne({ _id: ref.jobId }, { $pull: { images: { _id: ref.imageId } } });
+      pruned += res.modifiedCount;
+    }
+  }
+
+  return { storage: storage.name, stored: stored.size, referenced: referenced.size, orphans, missing, deleted, pruned };
+};
@@ -0,0 +1,51 @@
+// services/mediaStorage.js
+import { createCloudinaryStorage } from './storage/cloudinaryStorage.js';
+import { createLocalDiskStorage } from './storage/localDiskStorage.js';
+import { mediaStorageCallDuration, timeCall } from './metricsService.js';
+
+// Storage settings, all overridable from the environment
+const config = {
+  backend: process.env.MEDIA_STORAGE || 'cloudinary',          // 'cloudinary' or 'local'
+  folder: process.env.MEDIA_FOLDER || 'repairo/jobs',
+  // Folders reconciliation lists; repairo-jobs is where uploads went before MEDIA_FOLDER existed
+  scanFolders: process.env.MEDIA_SCAN_FOLDERS?.split(',').map(f => f.trim()).filter(Boolean),
+  localDir: process.env.MEDIA_LOCAL_DIR || 'uploads',
+  localPublicUrl: process.env.MEDIA_PUBLIC_URL || '/media',
+};
+
+// Time uploads and deletes for /metrics
+const instrument = (adapter) => ({
+  ...adapter,
+  save: (file) => timeCall(mediaStorageCallDuration, { backend: adapter.name, operation: 'save' }, () => adapter.save(file)),
+  remove: (publicId) => timeCall(mediaStorageCallDuration, { backend: adapter.name, operation: 'remove' }, () => adapter.remove(publicId)),
+});
+
+const createStorage = () => {
+  if (config.backend === 'local') {
+    return instrument(createLocalDiskStorage({
+      folder: config.folder, scanFolders: config.scanFolders, rootDir: config.localDir, publicUrl: config.localPublicUrl
+    }));
+  }
+  return instrument(createCloudinaryStorage({ folder: config.folder, scanFolders: config.scanFolders || [config.folder, 'repairo-jobs'] }));
+};
+
+let storage = null;
+
+/**
+ * The configured storage adapter.
+ * An adapter implements save(file) -> { public_id, url }, remove(public_id)
+ * and list(), an async iterable of { public_id, createdAt } for every file in the folders it scans.
+ * @returns {Object} - Storage adapter
+ */
+export const getMediaStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+/**
+ * Swap the storage adapter, e.g. for tests
+ * @param {Object} adapter - Storage adapter
+ */
+export const setMediaStorage = (adapter) => {
+  storage = adapter;
+};
@@ -0,0 +1,113 @@
+// Import the Message model for database operations
+import Message from '../models/Message.js';
+import { afterCursor } from '../utils/cursor.js';
+
+/**
+ * Which thread on a job a user may use, following the access rules:
+ * while a job is open each tradesman has a private thread with the customer;
+ * from acceptance on only the assigned tradesman's thread is open, to the customer,
+ * that tradesman and admins.
+ * @param {Object} job - Job document
+ * @param {Object} user - req.user { id, role }
+ * @param {string|undefined} tradesmanId - Thread the customer or admin asked for
+ * @returns {Object} - { tradesmanId } for the thread, or { status, message } when access is refused
+ */
+export const resolveThread = (job, user, tradesmanId) => {
+  const isOpen = job.status === 'open';
+
+  if (user.role === 'tradesman') {
+    if (isOpen || job.tradesmanId === user.id) return { tradesmanId: user.id };
+    return { status: 403, message: "Only the assigned tradesman can message about this job" };
+  }
+
+  if (user.role !== 'admin' && job.customerId !== user.id) {
+    return { status: 403, message: "You do not have permission to view these messages" };
+  }
+
+  // After acceptance the customer and admins talk to the assigned tradesman
+  const thread = tradesmanId || (isOpen ? null : job.tradesmanId);
+  if (!thread) return { status: 400, message: "tradesmanId is required to choose a thread" };
+  if (!isOpen && thread !== job.tradesmanId && user.role !== 'admin') {
+    return { status: 403, message: "Only the thread with the assigned tradesman is open once a job is accepted" };
+  }
+  return { tradesmanId: thread };
+};
+
+/**
+ * Add a message to a thread
+ * @param {Object} data - jobId, tradesmanId, senderId, senderRole, body, attachments
+ * @returns {Promise<Object>} - The new message document
+ */
+export const createMessage = async (data) => {
+  const message = new Message(data);
+  return await message.save();
+};
+
+/**
+ * Check whether a thread has any messages yet
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} tradesmanId - Tradesman the thread is with
+ * @returns {Promise<boolean>} - True if the thread exists
+ */
+export const threadExists = async (jobId, tradesmanId) => {
+  return Boolean(await Message.exists({ jobId, tradesmanId }));
+};
+
+/**
+ * Page through a thread, newest first
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} tradesmanId - Tradesman the thread is with
+ * @param {Object} options - { cursor, limit } with a decoded cursor from a previous page
+ * @returns {Promise<Array>} - Message documents
+ */
+export const findThreadMessages = async (jobId, tradesmanId, { cursor, limit = 30 } = {}) => {
+  const filter = { jobId, tradesmanId };
+  if (cursor) Object.assign(filter, afterCursor('createdAt', -1, cursor));
+  return Message.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit);
+};
+
+/**
+ * List the threads on a job with their latest message and the reader's unread count
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} readerId - User whose unread messages are counted
+ * @returns {Promise<Array>} - [{ tradesmanId, lastMessage, messageCount, unread }] most recent first
+ */
+export const findThreads = async (jobId, readerId) => {
+  return Message.aggregate([
+    { $match: { jobId } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$tradesmanId',
+        lastMessage: { $first: { id: '$_id', senderId: '$senderId', body: '$body', createdAt: '$createdAt' } },
+        messageCount: { $sum: 1 },
+        unread: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ne: ['$senderId', readerId] }, { $not: { $in: [readerId, '$readBy.userId'] } }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $project: { _id: 0, tradesmanId: '$_id', lastMessage: 1, messageCount: 1, unread: 1 } },
+    { $sort: { 'lastMessage.createdAt': -1 } }
+  ]);
+};
+
+/**
+ * Record that a participant has read every message in a thread sent by someone else
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} tradesmanId - Tradesman the thread is with
+ * @param {string} readerId - Who read them
+ * @returns {Promise<number>} - Number of messages newly marked read
+ */
+export const markThreadRead = async (jobId, tradesmanId, readerId) => {
+  const result = await Message.updateMany(
+    { jobId, tradesmanId, senderId: { $ne: readerId }, 'readBy.userId': { $ne: readerId } },
+    { $push: { readBy: { userId: readerId, readAt: new Date() } } }
+  );
+  return result.modifiedCount;
+};
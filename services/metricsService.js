@@ -0,0 +1,86 @@
+// services/metricsService.js
+import Job, { JOB_STATUSES } from '../models/Job.js';
+import { Registry, Gauge, Histogram } from '../utils/metrics.js';
+import { logger } from '../utils/logger.js';
+
+const registry = new Registry();
+
+export const httpRequestDuration = registry.register(new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to respond to HTTP requests, by route pattern',
+  labelNames: ['method', 'route', 'status_code'],
+}));
+
+export const geocoderCallDuration = registry.register(new Histogram({
+  name: 'geocoder_call_duration_seconds',
+  help: 'Time taken by each call to the geocoder provider, retries counted separately',
+  labelNames: ['provider', 'operation', 'outcome'],
+}));
+
+export const mediaStorageCallDuration = registry.register(new Histogram({
+  name: 'media_storage_call_duration_seconds',
+  help: 'Time taken by each call to the media storage backend (Cloudinary or local disk)',
+  labelNames: ['backend', 'operation', 'outcome'],
+}));
+
+// Counted from the database at scrape time, so every instance reports the same totals
+registry.register(new Gauge({
+  name: 'jobs',
+  help: 'Jobs that are not deleted, by status',
+  labelNames: ['status'],
+  async collect(gauge) {
+    try {
+      const counts = await Job.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]).option({ maxTimeMS: 2000 });
+      const byStatus = new Map(counts.map(c => [c._id, c.count]));
+      for (const status of JOB_STATUSES) gauge.set({ status }, byStatus.get(status) || 0);
+    } catch (err) {
+      logger.warn('Job count metrics unavailable', { err }); // Keep the last known values
+    }
+  }
+}));
+
+registry.register(new Gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss),
+}));
+
+registry.register(new Gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use, in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed),
+}));
+
+registry.register(new Gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: (gauge) => gauge.set({}, Math.round(process.uptime())),
+}));
+
+/**
+ * Time an async call, labelling it with its outcome
+ * @param {Object} histogram - Histogram with an 'outcome' label
+ * @param {Object} labels - Other labels for the observation
+ * @param {Function} fn - The call to time
+ * @returns {Promise<*>} - Whatever fn resolves to; its error is rethrown
+ */
+export const timeCall = async (histogram, labels, fn) => {
+  const end = histogram.startTimer(labels);
+  try {
+    const result = await fn();
+    end({ outcome: 'ok' });
+    return result;
+  } catch (err) {
+    end({ outcome: 'error' });
+    throw err;
+  }
+};
+
+/**
+ * Render every metric for a Prometheus scrape
+ * @returns {Promise<string>} - Prometheus text format
+ */
+export const renderMetrics = () => registry.render();
@@ -0,0 +1,180 @@
+// services/moderationService.js
+import fs from 'fs';
+import Job, { PUBLICLY_VISIBLE } from '../models/Job.js';
+import { envInt } from '../utils/env.js';
+
+// Outcomes of checking content, least to most severe
+export const MODERATION_ACTIONS = ['allow', 'redact', 'hold', 'reject'];
+
+const REDACTION = '[removed]';
+
+// Terms from a comma-separated setting plus a file with one per line ("#" starts a comment)
+const readTerms = (value, file) => {
+  const terms = (value || '').split(',');
+  if (file) terms.push(...fs.readFileSync(file, 'utf8').split(/\r?\n/).map(line => line.replace(/#.*/, '')));
+  return terms.map(t => t.trim().toLowerCase()).filter(Boolean);
+};
+
+// Only phrases that ask to move off the platform; "call me" and the like are everyday wording,
+// and the phone number or email that would make them a problem is caught by the pii rule
+const DEFAULT_OFF_PLATFORM_PHRASES = [
+  'bank transfer', 'cash only', 'cash in hand', 'paypal', 'western union', 'whatsapp',
+  'pay outside', 'off the app', 'avoid the fees'
+];
+
+// Rule settings, all overridable from the environment. Each rule's action is redact, hold or reject.
+const config = {
+  actions: {
+    pii: process.env.MODERATION_PII_ACTION || 'redact',                  // Phone numbers and email addresses
+    links: process.env.MODERATION_LINKS_ACTION || 'hold',                // URLs and bare domains
+    offPlatform: process.env.MODERATION_OFF_PLATFORM_ACTION || 'hold',   // Asking to pay or talk elsewhere
+    blocklist: process.env.MODERATION_BLOCKLIST_ACTION || 'reject',      // Abusive or banned terms
+  },
+  offPlatformPhrases: process.env.MODERATION_OFF_PLATFORM_PHRASES
+    ? readTerms(process.env.MODERATION_OFF_PLATFORM_PHRASES)
+    : DEFAULT_OFF_PLATFORM_PHRASES,
+  blocklist: readTerms(process.env.MODERATION_BLOCKLIST, process.env.MODERATION_BLOCKLIST_FILE),
+  reportHoldThreshold: envInt('MODERATION_REPORT_HOLD_THRESHOLD', 3), // Open reports that hide a job
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const anyOf = (terms) => (terms.length ? new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\b`, 'gi') : null);
+
+// Checked in order; a redacted match is no longer seen by the rules after it
+const RULES = [
+  {
+    name: 'pii',
+    patterns: [
+      /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,                                 // Email
+      /(?:\+44[\s-]?(?:\(0\)[\s-]?)?|\(?0)\d(?:[\s-]?\)?[\s-]?\d){8,9}(?!\d)/g,   // UK phone number
+    ]
+  },
+  {
+    name: 'links',
+    patterns: [/\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|co\.uk|org\.uk|uk|net|org|io|me|biz|info)\b\S*/gi]
+  },
+  { name: 'offPlatform', patterns: [anyOf(config.offPlatformPhrases)].filter(Boolean) },
+  { name: 'blocklist', patterns: [anyOf(config.blocklist)].filter(Boolean) },
+];
+
+const severity = (action) => MODERATION_ACTIONS.indexOf(action);
+
+/**
+ * Check text fields against the moderation rules, redacting where a rule says so
+ * @param {Object} fields - e.g. { title, description }; fields that are not strings are skipped
+ * @returns {Object} - { action, fields, flags } where action is the most severe outcome,
+ *                     fields holds the (possibly redacted) text and flags lists [{ rule, field, action }]
+ */
+export const moderateContent = (fields) => {
+  const result = { action: 'allow', fields: { ...fields }, flags: [] };
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (typeof value !== 'string') continue;
+    let text = value;
+
+    for (const rule of RULES) {
+      const action = config.actions[rule.name];
+      const matched = rule.patterns.some(pattern => text.search(pattern) !== -1);
+      if (!matched) continue;
+
+      if (action === 'redact') {
+        for (const pattern of rule.patterns) text = text.replace(pattern, REDACTION);
+      }
+      result.flags.push({ rule: rule.name, field, action });
+      if (severity(action) > severity(result.action)) result.action = action;
+    }
+    result.fields[field] = text;
+  }
+  return result;
+};
+
+/**
+ * Record a user's report of a job. A job with enough open reports is held for review.
+ * @param {Object} job - Job document
+ * @param {Object} report - { reporterId, reason, note }
+ * @returns {Promise<Object|null>} - { job, held } or null if this user has already reported the job
+ */
+export const reportJob = async (job, { reporterId, reason, note = null }) => {
+  const now = new Date();
+  let updated = await Job.findOneAndUpdate(
+    { _id: job._id, deletedAt: null, 'moderation.reports.reporterId': { $ne: reporterId } },
+    {
+      $push: { 'moderation.reports': { reporterId, reason, note, at: now } },
+      $inc: { 'moderation.openReports': 1 }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (!updated.moderation.queuedAt) {
+    updated = await Job.findOneAndUpdate(
+      { _id: job._id, 'moderation.queuedAt': null },
+      { $set: { 'moderation.queuedAt': now } },
+      { new: true }
+    ) || updated;
+  }
+
+  let held = false;
+  if (updated.moderation.openReports >= config.reportHoldThreshold) {
+    const hidden = await Job.findOneAndUpdate(
+      { _id: job._id, visibility: PUBLICLY_VISIBLE },
+      { $set: { visibility: 'pending_review' } },
+      { new: true }
+    );
+    if (hidden) {
+      updated = hidden;
+      held = true;
+    }
+  }
+  return { job: updated, held };
+};
+
+/**
+ * List jobs waiting for an admin, longest waiting first
+ * @param {string|undefined} type - 'held' (hidden pending review), 'reported' (still visible with open reports) or both
+ * @param {number} skip - Number of documents to skip for pagination
+ * @param {number} limit - Maximum number of documents to return
+ * @returns {Promise<Object>} - { jobs, total }
+ */
+export const findModerationQueue = async (type, skip = 0, limit = 20) => {
+  const held = { visibility: 'pending_review' };
+  const reported = { visibility: PUBLICLY_VISIBLE, 'moderation.openReports': { $gt: 0 } };
+  const filter = {
+    deletedAt: null,
+    ...(type === 'held' ? held : type === 'reported' ? reported : { $or: [held, reported] })
+  };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter).sort({ 'moderation.queuedAt': 1, _id: 1 }).skip(skip).limit(limit),
+    Job.countDocuments(filter),
+  ]);
+  return { jobs, total };
+};
+
+/**
+ * Record an admin's decision on a queued job and take it off the queue
+ * @param {Object} job - Job document
+ * @param {string} decision - 'approved' (make it visible) or 'rejected' (hide it)
+ * @param {Object} options - { reviewedBy, reason, session }
+ * @returns {Promise<Object|null>} - Updated job or null if it was deleted meanwhile
+ */
+export const decideJob = async (job, decision, { reviewedBy, reason = null, session = null }) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { _id: job._id, deletedAt: null },
+    {
+      $set: {
+        visibility: decision === 'approved' ? 'visible' : 'rejected',
+        'moderation.openReports': 0,
+        'moderation.queuedAt': null,
+        'moderation.decision': decision,
+        'moderation.decisionReason': reason,
+        'moderation.reviewedBy': reviewedBy,
+        'moderation.reviewedAt': now,
+        // The first approval is when a job that was held from the start goes public
+        ...(decision === 'approved' && !job.moderation?.publishedAt && { 'moderation.publishedAt': now }),
+      }
+    },
+    { new: true, session }
+  );
+};
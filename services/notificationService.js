@@ -0,0 +1,118 @@
+// Import the models for database operations
+import Notification from '../models/Notification.js';
+import { findSearchesMatchingJob } from './savedSearchService.js';
+import { logger } from '../utils/logger.js';
+
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Record a notification for every tradesman whose saved searches match a job.
+ * A tradesman with several matching searches gets one notification, from the closest search.
+ * @param {Object} job - Newly created or reopened job
+ * @param {string} event - 'created' or 'reopened'
+ * @returns {Promise<Array>} - Created notification documents
+ */
+export const notifyMatchingSearches = async (job, event) => {
+  const searches = await findSearchesMatchingJob(job);
+  const seen = new Set();
+  const now = new Date();
+
+  const notifications = [];
+  for (const search of searches) {
+    if (seen.has(search.tradesmanId)) continue;
+    seen.add(search.tradesmanId);
+
+    notifications.push({
+      tradesmanId: search.tradesmanId,
+      jobId: job._id,
+      savedSearchId: search._id,
+      event,
+      frequency: search.frequency,
+      deliveredAt: search.frequency === 'immediate' ? now : null,
+    });
+  }
+
+  if (notifications.length === 0) return [];
+  return Notification.insertMany(notifications);
+};
+
+// Start of the digest period that contains the given time (UTC)
+const periodStart = (frequency, now) => {
+  const start = new Date(now);
+  start.setUTCMinutes(0, 0, 0);
+  if (frequency === 'daily') start.setUTCHours(0);
+  return start;
+};
+
+/**
+ * Deliver every hourly and daily notification from periods that have ended.
+ * Notifications in the same digest share a digestKey so clients can group them.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Number of notifications delivered per frequency
+ */
+export const deliverDueDigests = async (now = new Date()) => {
+  const delivered = {};
+
+  for (const frequency of ['hourly', 'daily']) {
+    const cutoff = periodStart(frequency, now);
+    const previous = new Date(cutoff.getTime() - (frequency === 'daily' ? 24 : 1) * 60 * 60 * 1000);
+
+    const result = await Notification.updateMany(
+      { frequency, deliveredAt: null, createdAt: { $lt: cutoff } },
+      { $set: { deliveredAt: now, digestKey: `${frequency}:${previous.toISOString()}` } }
+    );
+    delivered[frequency] = result.modifiedCount;
+  }
+
+  return delivered;
+};
+
+/**
+ * Run deliverDueDigests on a timer
+ * @param {number} intervalMs - How often to check for due digests
+ * @returns {Object} - Timer handle, pass to clearInterval to stop
+ */
+export const startDigestWorker = (intervalMs = DIGEST_CHECK_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    deliverDueDigests().catch(err => logger.error('Digest delivery error', { err }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * List a tradesman's delivered notifications, newest first
+ * @param {string} tradesmanId - Recipient
+ * @param {Object} options - { unreadOnly, skip, limit }
+ * @returns {Promise<Object>} - { notifications, total, unread }
+ */
+export const findNotifications = async (tradesmanId, { unreadOnly = false, skip = 0, limit = 20 } = {}) => {
+  const filter = { tradesmanId, deliveredAt: { $ne: null } };
+  if (unreadOnly) filter.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter)
+      .sort({ deliveredAt: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('jobId', 'title category status location.postcode'),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ tradesmanId, deliveredAt: { $ne: null }, readAt: null }),
+  ]);
+
+  return { notifications, total, unread };
+};
+
+/**
+ * Mark notifications as read
+ * @param {string} tradesmanId - Recipient
+ * @param {Array<string>|null} ids - Notification ids, or null for all of them
+ * @returns {Promise<number>} - Number of notifications marked read
+ */
+export const markNotificationsRead = async (tradesmanId, ids = null) => {
+  const filter = { tradesmanId, deliveredAt: { $ne: null }, readAt: null };
+  if (ids) filter._id = { $in: ids };
+
+  const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
@@ -0,0 +1,148 @@
+// Import the models for database operations
+import Quote from '../models/Quote.js';
+import { transitionJob } from './jobLifecycle.js';
+import { emitJobEvent } from './jobEvents.js';
+import { withJobHistory } from './jobHistoryService.js';
+
+// Sort orders customers can use to compare quotes
+const QUOTE_SORTS = {
+  price: { price: 1, createdAt: 1 },
+  duration: { estimatedHours: 1, price: 1 },
+  newest: { createdAt: -1 },
+};
+
+/**
+ * Create a new quote on a job
+ * @param {Object} data - jobId, tradesmanId, price, estimatedHours, message
+ * @returns {Promise<Object>} - The newly created quote document
+ */
+export const createQuote = async (data) => {
+  const quote = new Quote(data);
+  return await quote.save();
+};
+
+/**
+ * List the quotes on a job
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {Object} options - { status, sort, tradesmanId } where sort is price, duration or newest
+ * @returns {Promise<Array>} - Array of quote documents
+ */
+export const findQuotesForJob = async (jobId, { status, sort = 'price', tradesmanId } = {}) => {
+  const filter = { jobId };
+  if (status) filter.status = status;
+  if (tradesmanId) filter.tradesmanId = tradesmanId;
+  return Quote.find(filter).sort(QUOTE_SORTS[sort] || QUOTE_SORTS.price);
+};
+
+/**
+ * Find a single quote belonging to a job
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} quoteId - MongoDB ObjectId of the quote
+ * @returns {Promise<Object|null>} - Quote document or null if not found
+ */
+export const findQuoteForJob = async (jobId, quoteId) => {
+  return Quote.findOne({ _id: quoteId, jobId });
+};
+
+/**
+ * Revise a pending quote, keeping the previous version in its history
+ * @param {Object} quote - Current quote document
+ * @param {Object} changes - Any of price, estimatedHours, message
+ * @returns {Promise<Object|null>} - Updated quote, or null if it is no longer pending
+ */
+export const reviseQuote = async (quote, changes) => {
+  const set = {};
+  for (const field of ['price', 'estimatedHours', 'message']) {
+    if (changes[field] !== undefined) set[field] = changes[field];
+  }
+
+  return Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'pending' },
+    {
+      $set: set,
+      $push: {
+        revisions: {
+          price: quote.price,
+          estimatedHours: quote.estimatedHours,
+          message: quote.message,
+          revisedAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Withdraw a pending quote
+ * @param {Object} quote - Current quote document
+ * @returns {Promise<Object|null>} - Updated quote, or null if it is no longer pending
+ */
+export const withdrawQuote = async (quote) => {
+  return Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'pending' },
+    { $set: { status: 'withdrawn', respondedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Summarise the pending quotes on a job for comparison
+ * @param {Array} quotes - Quote documents
+ * @returns {Object} - { count, lowest, highest, average } prices in pence
+ */
+export const summariseQuotes = (quotes) => {
+  const prices = quotes.filter(q => q.status === 'pending').map(q => q.price);
+  if (prices.length === 0) return { count: 0, lowest: null, highest: null, average: null };
+
+  return {
+    count: prices.length,
+    lowest: Math.min(...prices),
+    highest: Math.max(...prices),
+    average: Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length)
+  };
+};
+
+/**
+ * Accept a quote: assign the tradesman, move the job to accepted, decline every other
+ * pending quote and record the change in the job's history, all inside one transaction
+ * @param {Object} job - Current job document (must be open)
+ * @param {Object} quote - Quote document being accepted
+ * @param {string|null} actorId - Who accepted it
+ * @returns {Promise<Object|null>} - { job, quote } or null if the job or quote changed in the meantime
+ */
+export const acceptQuote = async (job, quote, actorId = null) => {
+  let acceptedQuote = null;
+
+  const recorded = await withJobHistory('status_changed', async (session) => {
+    const now = new Date();
+
+    acceptedQuote = await Quote.findOneAndUpdate(
+      { _id: quote._id, jobId: job._id, status: 'pending' },
+      { $set: { status: 'accepted', respondedAt: now } },
+      { new: true, session }
+    );
+    if (!acceptedQuote) return null;
+
+    const updatedJob = await transitionJob(job, 'accept', {
+      actorId,
+      tradesmanId: acceptedQuote.tradesmanId,
+      quoteId: acceptedQuote._id,
+      reason: 'Quote accepted',
+      session
+    });
+    if (!updatedJob) return null;
+
+    await Quote.updateMany(
+      { jobId: job._id, _id: { $ne: acceptedQuote._id }, status: 'pending' },
+      { $set: { status: 'declined', respondedAt: now } },
+      { session }
+    );
+
+    return { before: job, after: updatedJob };
+  }, { actorId, reason: 'Quote accepted' });
+  if (!recorded) return null;
+
+  await emitJobEvent('job.accepted', recorded.after, { actorId, reason: 'Quote accepted', previousStatus: job.status, quoteId: acceptedQuote._id });
+  return { job: recorded.after, quote: acceptedQuote };
+};
@@ -0,0 +1,136 @@
+// Import the models for database operations
+import Review, { REVIEW_CRITERIA } from '../models/Review.js';
+import RatingSummary from '../models/RatingSummary.js';
+
+const round = (value) => (value == null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Create a review; the overall score is the mean of the criteria
+ * @param {Object} data - jobId, reviewerId, reviewerRole, revieweeId, revieweeRole, ratings, text
+ * @returns {Promise<Object>} - The new review document
+ */
+export const createReview = async (data) => {
+  const scores = Object.values(data.ratings);
+  const review = new Review({
+    ...data,
+    overall: round(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+  });
+  return await review.save();
+};
+
+/**
+ * List the reviews on a job
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @returns {Promise<Array>} - Up to two review documents
+ */
+export const findReviewsForJob = async (jobId) => {
+  return Review.find({ jobId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Find a single review belonging to a job
+ * @param {string} jobId - MongoDB ObjectId of the job
+ * @param {string} reviewId - MongoDB ObjectId of the review
+ * @returns {Promise<Object|null>} - Review document or null if not found
+ */
+export const findReviewForJob = async (jobId, reviewId) => {
+  return Review.findOne({ _id: reviewId, jobId });
+};
+
+/**
+ * Add the reviewee's reply, once
+ * @param {Object} review - Review document
+ * @param {string} text - Reply text
+ * @returns {Promise<Object|null>} - Updated review, or null if it already has a reply
+ */
+export const replyToReview = async (review, text) => {
+  return Review.findOneAndUpdate(
+    { _id: review._id, reply: null },
+    { $set: { reply: { text, at: new Date() } } },
+    { new: true }
+  );
+};
+
+/**
+ * List the reviews a user has received, newest first
+ * @param {string} userId - Reviewee
+ * @param {string} role - 'tradesman' or 'customer'
+ * @param {number} skip - Number of documents to skip for pagination
+ * @param {number} limit - Maximum number of documents to return
+ * @returns {Promise<Object>} - { reviews, total }
+ */
+export const findReviewsFor = async (userId, role, skip = 0, limit = 20) => {
+  const filter = { revieweeId: userId, revieweeRole: role };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    Review.countDocuments(filter),
+  ]);
+  return { reviews, total };
+};
+
+/**
+ * Rebuild a user's rating summary from all of their reviews
+ * @param {string} userId - Reviewee
+ * @param {string} role - 'tradesman' or 'customer'
+ * @returns {Promise<Object>} - Updated summary document
+ */
+export const refreshRatingSummary = async (userId, role) => {
+  const criteria = REVIEW_CRITERIA[role];
+  const [result] = await Review.aggregate([
+    { $match: { revieweeId: userId, revieweeRole: role } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            average: { $avg: '$overall' },
+            ...Object.fromEntries(criteria.map(c => [c, { $avg: `$ratings.${c}` }]))
+          }
+        }],
+        distribution: [{ $group: { _id: { $floor: { $add: ['$overall', 0.5] } }, count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { count: 0, average: null };
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const { _id: stars, count } of result.distribution) distribution[stars] = count;
+
+  return RatingSummary.findOneAndUpdate(
+    { userId, role },
+    {
+      $set: {
+        count: totals.count,
+        average: round(totals.average),
+        distribution,
+        criteria: Object.fromEntries(criteria.map(c => [c, round(totals[c] ?? null)]))
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Find a user's rating summary
+ * @param {string} userId - Reviewee
+ * @param {string} role - 'tradesman' or 'customer'
+ * @returns {Promise<Object>} - { count, average, distribution, criteria }, all empty when there are no reviews
+ */
+export const findRatingSummary = async (userId, role) => {
+  const summary = await RatingSummary.findOne({ userId, role });
+  if (!summary) {
+    return {
+      count: 0,
+      average: null,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      criteria: Object.fromEntries(REVIEW_CRITERIA[role].map(c => [c, null]))
+    };
+  }
+  return {
+    count: summary.count,
+    average: summary.average,
+    distribution: summary.distribution,
+    criteria: Object.fromEntries(summary.criteria)
+  };
+};
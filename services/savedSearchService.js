@@ -0,0 +1,79 @@
+// Import the SavedSearch model for database operations
+import SavedSearch from '../models/SavedSearch.js';
+
+const MAX_RADIUS_METERS = 100 * 1000; // Largest radius a saved search may use
+
+/**
+ * Create a saved search
+ * @param {Object} data - tradesmanId, name, category, radiusKm, location, frequency
+ * @returns {Promise<Object>} - The newly created saved search
+ */
+export const createSavedSearch = async (data) => {
+  const search = new SavedSearch(data);
+  return await search.save();
+};
+
+/**
+ * List a tradesman's saved searches, newest first
+ * @param {string} tradesmanId - Owner of the searches
+ * @returns {Promise<Array>} - Array of saved search documents
+ */
+export const findSavedSearches = async (tradesmanId) => {
+  return SavedSearch.find({ tradesmanId }).sort({ createdAt: -1 });
+};
+
+/**
+ * Find one of a tradesman's saved searches
+ * @param {string} tradesmanId - Owner of the search
+ * @param {string} id - MongoDB ObjectId of the search
+ * @returns {Promise<Object|null>} - Saved search or null if not found
+ */
+export const findSavedSearch = async (tradesmanId, id) => {
+  return SavedSearch.findOne({ _id: id, tradesmanId });
+};
+
+/**
+ * Update one of a tradesman's saved searches
+ * @param {string} tradesmanId - Owner of the search
+ * @param {string} id - MongoDB ObjectId of the search
+ * @param {Object} updates - Field-value pairs to update
+ * @returns {Promise<Object|null>} - Updated search or null if not found
+ */
+export const updateSavedSearch = async (tradesmanId, id, updates) => {
+  return SavedSearch.findOneAndUpdate({ _id: id, tradesmanId }, updates, { new: true, runValidators: true });
+};
+
+/**
+ * Delete one of a tradesman's saved searches
+ * @param {string} tradesmanId - Owner of the search
+ * @param {string} id - MongoDB ObjectId of the search
+ * @returns {Promise<Object|null>} - Deleted search or null if not found
+ */
+export const deleteSavedSearch = async (tradesmanId, id) => {
+  return SavedSearch.findOneAndDelete({ _id: id, tradesmanId });
+};
+
+/**
+ * Find the active saved searches a job falls inside.
+ * Runs $geoNear from the job's location and keeps searches whose own radius reaches it.
+ * @param {Object} job - Job document with location and category
+ * @returns {Promise<Array>} - Matching searches, closest first, each with a distance in meters
+ */
+export const findSearchesMatchingJob = async (job) => {
+  return SavedSearch.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: job.location.coordinates },
+        distanceField: "distance",
+        maxDistance: MAX_RADIUS_METERS,
+        spherical: true,
+        query: {
+          active: true,
+          tradesmanId: { $ne: job.customerId },
+          $or: [{ category: null }, { category: job.category }]
+        }
+      }
+    },
+    { $match: { $expr: { $lte: ["$distance", { $multiply: ["$radiusKm", 1000] }] } } }
+  ]);
+};
@@ -0,0 +1,52 @@
+// services/storage/cloudinaryStorage.js
+import cloudinary from '../../config/cloudinary.js';
+
+/**
+ * Media storage backed by Cloudinary
+ * @param {Object} options - { folder, scanFolders } where scanFolders are listed by list(), default just folder
+ * @returns {Object} - Storage adapter
+ */
+export const createCloudinaryStorage = ({ folder, scanFolders = [folder] }) => ({
+  name: 'cloudinary',
+
+  // Upload a buffer once, resized and optimised like the old multer storage did
+  save(file) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          allowed_formats: ['jpg', 'jpeg', 'png'],
+          transformation: [
+            { width: 800, height: 600, crop: 'limit' },
+            { quality: 'auto' }
+          ]
+        },
+        (err, result) => (err ? reject(err) : resolve({ public_id: result.public_id, url: result.secure_url }))
+      );
+      stream.end(file.buffer);
+    });
+  },
+
+  async remove(publicId) {
+    await cloudinary.uploader.destroy(publicId);
+  },
+
+  // Every stored file under the scanned folders, as { public_id, createdAt }
+  async *list() {
+    for (const prefix of new Set(scanFolders)) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          prefix: `${prefix}/`,
+          max_results: 500,
+          next_cursor: nextCursor,
+        });
+        for (const resource of page.resources) {
+          yield { public_id: resource.public_id, createdAt: new Date(resource.created_at) };
+        }
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+  }
+});
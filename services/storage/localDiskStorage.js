@@ -0,0 +1,66 @@
+// services/storage/localDiskStorage.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png' };
+
+/**
+ * Media storage on the local disk, for development and test machines without network access.
+ * Files are served by the app under publicUrl (see server.js).
+ * @param {Object} options - { folder, scanFolders, rootDir, publicUrl } where scanFolders are listed by list(), default just folder
+ * @returns {Object} - Storage adapter
+ */
+export const createLocalDiskStorage = ({ folder, scanFolders = [folder], rootDir, publicUrl }) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a public_id to a path, refusing anything outside the storage root
+  const toPath = (publicId) => {
+    const filePath = path.resolve(root, publicId);
+    if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid media id: ${publicId}`);
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir: root,
+    publicUrl,
+
+    async save(file) {
+      const ext = EXTENSIONS[file.mimetype] || path.extname(file.originalname || '').toLowerCase();
+      const publicId = `${folder}/${crypto.randomUUID()}${ext}`;
+      const filePath = toPath(publicId);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.buffer);
+      return { public_id: publicId, url: `${publicUrl}/${publicId}` };
+    },
+
+    async remove(publicId) {
+      try {
+        await fs.unlink(toPath(publicId));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    async *list() {
+      for (const scanned of new Set(scanFolders)) {
+        const dir = toPath(scanned);
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') continue;
+          throw err;
+        }
+
+        for (const entry of entries) {
+          if (!entry.isFile()) continue;
+          const stat = await fs.stat(path.join(dir, entry.name));
+          yield { public_id: `${scanned}/${entry.name}`, createdAt: stat.birthtime || stat.mtime };
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// Import the models for database operations
+import TradesmanProfile from '../models/TradesmanProfile.js';
+
+/**
+ * Find a tradesman's profile
+ * @param {string} tradesmanId - Tradesman's user ID
+ * @returns {Promise<Object|null>} - Profile document or null if they have not set one up
+ */
+export const findProfile = async (tradesmanId) => {
+  return TradesmanProfile.findOne({ tradesmanId });
+};
+
+/**
+ * Create or replace a tradesman's profile
+ * @param {string} tradesmanId - Tradesman's user ID
+ * @param {Object} data - categories, location (geocoded), radiusKm, availability
+ * @returns {Promise<Object>} - The saved profile
+ */
+export const saveProfile = async (tradesmanId, data) => {
+  return TradesmanProfile.findOneAndUpdate(
+    { tradesmanId },
+    { $set: { ...data, tradesmanId } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
@@ -0,0 +1,260 @@
+// Import the models for database operations
+import crypto from 'crypto';
+import axios from 'axios';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { signPayload } from '../utils/webhookSignature.js';
+import { envInt } from '../utils/env.js';
+import { logger } from '../utils/logger.js';
+
+// Delivery settings, all overridable from the environment
+const config = {
+  maxAttempts: envInt('WEBHOOK_MAX_ATTEMPTS', 8),
+  backoffBaseMs: envInt('WEBHOOK_BACKOFF_BASE_MS', 30 * 1000),
+  backoffMaxMs: envInt('WEBHOOK_BACKOFF_MAX_MS', 6 * 60 * 60 * 1000),
+  timeoutMs: envInt('WEBHOOK_TIMEOUT_MS', 10 * 1000),
+  pollIntervalMs: envInt('WEBHOOK_POLL_INTERVAL_MS', 5 * 1000),
+  batchSize: envInt('WEBHOOK_BATCH_SIZE', 20),
+};
+
+const LOCK_MS = 60 * 1000; // A claimed delivery is retried by another worker after this
+
+/**
+ * Create a subscription; a secret is generated when none is given
+ * @param {Object} data - url, events, description, secret, createdBy
+ * @returns {Promise<Object>} - The subscription, including its secret
+ */
+export const createSubscription = async (data) => {
+  const subscription = new WebhookSubscription({
+    ...data,
+    secret: data.secret || crypto.randomBytes(32).toString('hex'),
+  });
+  return await subscription.save();
+};
+
+/**
+ * List subscriptions, newest first
+ * @returns {Promise<Array>} - Subscription documents, without secrets
+ */
+export const findSubscriptions = async () => {
+  return WebhookSubscription.find().sort({ createdAt: -1 });
+};
+
+/**
+ * Find a subscription by ID
+ * @param {string} id - MongoDB ObjectId of the subscription
+ * @returns {Promise<Object|null>} - Subscription, without its secret
+ */
+export const findSubscriptionById = async (id) => {
+  return WebhookSubscription.findById(id);
+};
+
+/**
+ * Update a subscription
+ * @param {string} id - MongoDB ObjectId of the subscription
+ * @param {Object} updates - Any of url, events, description, active
+ * @returns {Promise<Object|null>} - Updated subscription or null if not found
+ */
+export const updateSubscription = async (id, updates) => {
+  return WebhookSubscription.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+};
+
+/**
+ * Delete a subscription and its outstanding deliveries
+ * @param {string} id - MongoDB ObjectId of the subscription
+ * @returns {Promise<Object|null>} - Deleted subscription or null if not found
+ */
+export const deleteSubscription = async (id) => {
+  const subscription = await WebhookSubscription.findByIdAndDelete(id);
+  if (subscription) {
+    await WebhookDelivery.deleteMany({ subscriptionId: id, status: { $in: ['pending', 'delivering'] } });
+  }
+  return subscription;
+};
+
+/**
+ * Queue an event for every active subscription that wants it
+ * @param {Object} event - Event from emitJobEvent
+ * @returns {Promise<Array>} - Created delivery documents
+ */
+export const enqueueEvent = async (event) => {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    events: { $in: ['*', event.type] }
+  });
+  if (subscriptions.length === 0) return [];
+
+  return WebhookDelivery.insertMany(subscriptions.map(s => ({
+    subscriptionId: s._id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+  })));
+};
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped, with up to 10% jitter
+const backoff = (attempts) => {
+  const delay = Math.min(config.backoffBaseMs * 2 ** (attempts - 1), config.backoffMaxMs);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// Claim the next due delivery so no other worker sends it at the same time
+const claimNextDelivery = async (now) => {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } } // Worker died mid-delivery
+      ]
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Send one delivery and record the outcome
+ * @param {Object} delivery - Claimed delivery document
+ * @returns {Promise<Object>} - Updated delivery
+ */
+export const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  const attempts = delivery.attempts + 1;
+
+  if (!subscription || !subscription.active) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'dead', attempts, lockedUntil: null, lastError: 'Subscription removed or inactive' }
+    }, { new: true });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const res = await axios.post(subscription.url, body, {
+      timeout: config.timeoutMs,
+      validateStatus: () => true,
+      maxRedirects: 0,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RepairO-Webhooks/1.0',
+        'X-RepairO-Event': delivery.eventType,
+        'X-RepairO-Delivery': String(delivery._id),
+        'X-RepairO-Timestamp': timestamp,
+        'X-RepairO-Signature': signPayload(subscription.secret, timestamp, body),
+      },
+    });
+    statusCode = res.status;
+    if (res.status < 200 || res.status >= 300) error = `Receiver responded with ${res.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'succeeded', attempts, lockedUntil: null, lastStatusCode: statusCode, lastError: null, deliveredAt: new Date() }
+    }, { new: true });
+  }
+
+  const dead = attempts >= config.maxAttempts;
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $set: {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lockedUntil: null,
+      lastStatusCode: statusCode,
+      lastError: error,
+      nextAttemptAt: dead ? null : new Date(Date.now() + backoff(attempts)),
+    }
+  }, { new: true });
+};
+
+/**
+ * Send every delivery that is due, up to the batch size
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+export const processDueDeliveries = async (now = new Date()) => {
+  let processed = 0;
+  while (processed < config.batchSize) {
+    const delivery = await claimNextDelivery(now);
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    processed++;
+  }
+  return processed;
+};
+
+/**
+ * Poll the delivery queue on a timer; deliveries are queued by emitJobEvent
+ * @returns {Object} - Timer handle, pass to clearInterval to stop polling
+ */
+export const startWebhookWorker = () => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Previous batch still sending
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (err) {
+      logger.error('Webhook delivery error', { err });
+    } finally {
+      running = false;
+    }
+  }, config.pollIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Send a ping event to one subscription straight away, to check the receiver is reachable
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} - The delivery, with the outcome of the attempt
+ */
+export const sendPing = async (subscription) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'ping',
+    occurredAt: new Date().toISOString(),
+    data: { subscriptionId: subscription._id },
+  };
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: subscription._id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    status: 'delivering',
+    lockedUntil: new Date(Date.now() + LOCK_MS),
+  });
+  return attemptDelivery(delivery);
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filter - { subscriptionId, status, eventType }
+ * @param {number} skip - Number of documents to skip for pagination
+ * @param {number} limit - Maximum number of documents to return
+ * @returns {Promise<Object>} - { deliveries, total }
+ */
+export const findDeliveries = async (filter = {}, skip = 0, limit = 20) => {
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+  return { deliveries, total };
+};
+
+/**
+ * Put a finished delivery back on the queue for an immediate retry
+ * @param {string} id - MongoDB ObjectId of the delivery
+ * @returns {Promise<Object|null>} - Requeued delivery, or null if not found or still in flight
+ */
+export const redeliver = async (id) => {
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: { $in: ['succeeded', 'dead'] } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedUntil: null, lastError: null } },
+    { new: true }
+  );
+};
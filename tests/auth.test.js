@@ -0,0 +1,28 @@
+// tests/auth.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { checkAuthConfig } from '../middleware/auth.js';
+
+beforeEach(() => {
+  delete process.env.JWT_SECRET;
+  delete process.env.JWT_PUBLIC_KEY;
+});
+
+test('startup is refused without a secret or public key', () => {
+  assert.throws(checkAuthConfig, /JWT_SECRET or JWT_PUBLIC_KEY must be set/);
+});
+
+test('a shared secret or a PEM public key, with escaped newlines as in .env files, is accepted', () => {
+  process.env.JWT_SECRET = 'local-secret';
+  assert.doesNotThrow(checkAuthConfig);
+
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  process.env.JWT_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' }).replace(/\n/g, '\\n');
+  assert.doesNotThrow(checkAuthConfig);
+});
+
+test('a public key that is not PEM is refused', () => {
+  process.env.JWT_PUBLIC_KEY = 'not-a-key';
+  assert.throws(checkAuthConfig, /JWT_PUBLIC_KEY is not a valid PEM public key/);
+});
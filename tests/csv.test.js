@@ -0,0 +1,36 @@
+// tests/csv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../utils/csv.js';
+
+test('quoted cells keep commas and doubled quotes', () => {
+  const { columns, rows } = parseCsv('title,description\n"Fix tap, kitchen","Tap ""drips"" at night"\n');
+  assert.deepEqual(columns, ['title', 'description']);
+  assert.deepEqual(rows, [{ line: 2, values: { title: 'Fix tap, kitchen', description: 'Tap "drips" at night' } }]);
+});
+
+test('a quoted cell can span lines, and later rows keep their real line numbers', () => {
+  const { rows } = parseCsv('title,description\n"Paint fence","First coat\nSecond coat\n"\nHang door,Front door\n');
+  assert.equal(rows[0].values.description, 'First coat\nSecond coat\n');
+  assert.deepEqual(rows.map(r => r.line), [2, 5]);
+  assert.deepEqual(rows[1].values, { title: 'Hang door', description: 'Front door' });
+});
+
+test('CRLF line endings, a byte order mark and blank lines are handled', () => {
+  const { columns, rows } = parseCsv('\uFEFFtitle , postcode\r\nFix boiler,M1 1AE\r\n\r\nClean gutters,LS1 4AP');
+  assert.deepEqual(columns, ['title', 'postcode']);
+  assert.deepEqual(rows.map(r => [r.line, r.values.title]), [[2, 'Fix boiler'], [4, 'Clean gutters']]);
+});
+
+test('missing cells are empty strings', () => {
+  const { rows } = parseCsv('title,urgency,postcode\nFix boiler\n');
+  assert.deepEqual(rows[0].values, { title: 'Fix boiler', urgency: '', postcode: '' });
+});
+
+test('an unterminated quote is an error naming its line', () => {
+  assert.throws(() => parseCsv('title\nok\n"never closed\n'), /line 3/);
+});
+
+test('an empty file has no columns or rows', () => {
+  assert.deepEqual(parseCsv(''), { columns: [], rows: [] });
+});
@@ -0,0 +1,100 @@
+// tests/cursor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, afterCursor } from '../utils/cursor.js';
+import { JOB_SORTS } from '../services/jobService.js';
+
+const get = (doc, path) => path.split('.').reduce((obj, key) => obj?.[key], doc) ?? null;
+
+// MongoDB ordering for the values a sort field can hold: null first, then numbers or dates; ObjectIds by hex
+const compare = (a, b) => {
+  if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+  if (a instanceof mongoose.Types.ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Just enough of MongoDB's query language to run an afterCursor condition in memory
+const matches = (doc, condition) => Object.entries(condition).every(([key, expected]) => {
+  if (key === '$or') return expected.some(branch => matches(doc, branch));
+  const actual = get(doc, key);
+  if (expected === null) return actual === null;
+  if (expected instanceof Date || expected instanceof mongoose.Types.ObjectId || typeof expected !== 'object') {
+    return actual !== null && compare(actual, expected) === 0;
+  }
+  return Object.entries(expected).every(([op, value]) => {
+    if (op === '$ne') return value === null ? actual !== null : compare(actual, value) !== 0;
+    if (actual === null) return false; // Range operators never match null
+    if (op === '$gt') return compare(actual, value) > 0;
+    if (op === '$lt') return compare(actual, value) < 0;
+    throw new Error(`Unsupported operator ${op}`);
+  });
+});
+
+const sortDocs = (docs, field, direction) => [...docs].sort((a, b) =>
+  direction * (compare(get(a, field), get(b, field)) || compare(a._id, b._id)));
+
+// Page through docs the way the listing pipeline does: match after the cursor, sort, limit
+const pageThrough = (docs, sort, limit) => {
+  const { field, direction } = JOB_SORTS[sort];
+  const pages = [];
+  let cursor = null;
+  for (;;) {
+    const remaining = cursor ? docs.filter(d => matches(d, afterCursor(field, direction, cursor))) : docs;
+    const page = sortDocs(remaining, field, direction).slice(0, limit);
+    if (page.length === 0) break;
+    pages.push(page);
+    const last = page[page.length - 1];
+    cursor = decodeCursor(encodeCursor(sort, get(last, field), last._id), sort);
+  }
+  return pages;
+};
+
+const day = (n) => new Date(Date.UTC(2025, 0, n));
+const docs = [
+  { createdAt: day(3), budget: { max: 5000 }, distance: 120, score: 1.5 },
+  { createdAt: day(1), budget: { max: 5000 }, distance: 80, score: 2 },
+  { createdAt: day(3), budget: null, distance: 80, score: 1.5 },
+  { createdAt: day(2), budget: { max: 12000 }, distance: 300, score: 0.75 },
+  { createdAt: day(5), budget: null, distance: 10, score: 2 },
+  { createdAt: day(4), budget: { max: 800 }, distance: 120, score: 1.5 },
+  { createdAt: day(1), budget: { max: 12000 }, distance: 45, score: 3 },
+].map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+test('a cursor round-trips dates, numbers and nulls', () => {
+  const id = new mongoose.Types.ObjectId();
+  for (const value of [day(2), 4200, 0, null]) {
+    const decoded = decodeCursor(encodeCursor('newest', value, id), 'newest');
+    assert.deepEqual(decoded.value, value);
+    assert.equal(decoded.id.toHexString(), id.toHexString());
+  }
+});
+
+test('a cursor is rejected for another sort, or when it is not a cursor', () => {
+  const cursor = encodeCursor('newest', day(1), new mongoose.Types.ObjectId());
+  assert.equal(decodeCursor(cursor, 'oldest'), null);
+  assert.equal(decodeCursor('not-a-cursor', 'newest'), null);
+  assert.equal(decodeCursor(Buffer.from('{"s":"newest","id":"nope"}').toString('base64url'), 'newest'), null);
+});
+
+for (const sort of Object.keys(JOB_SORTS)) {
+  test(`paging by ${sort} returns every job once, in order`, () => {
+    const { field, direction } = JOB_SORTS[sort];
+    for (const limit of [1, 2, 3, 10]) {
+      const pages = pageThrough(docs, sort, limit);
+      assert.deepEqual(pages.flat().map(d => d._id), sortDocs(docs, field, direction).map(d => d._id), `limit ${limit}`);
+      assert.ok(pages.every(page => page.length <= limit));
+    }
+  });
+}
+
+test('descending sorts put jobs without a value last, ascending sorts first', () => {
+  const budget = pageThrough(docs, 'budget', 2).flat();
+  assert.deepEqual(budget.slice(-2).map(d => d.budget), [null, null]);
+
+  const { field } = JOB_SORTS.budget;
+  const ascending = sortDocs(docs, field, 1);
+  const cursor = { value: null, id: ascending[0]._id };
+  const rest = docs.filter(d => matches(d, afterCursor(field, 1, cursor)));
+  assert.deepEqual(sortDocs(rest, field, 1).map(d => d._id), ascending.slice(1).map(d => d._id));
+});
@@ -0,0 +1,123 @@
+// tests/idempotency.test.js
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { requestId } from '../middleware/requestContext.js';
+import { hashRequest } from '../services/idempotencyService.js';
+
+// Keys kept in memory as real documents, with the unique index on { userId, key }
+let keys;
+const find = (filter) => keys.find(k => Object.entries(filter).every(([field, value]) => {
+  if (value?.$lte) return k[field] <= value.$lte;
+  return String(k.get(field)) === String(value);
+}));
+
+beforeEach(() => {
+  keys = [];
+  IdempotencyKey.create = async (data) => {
+    if (find({ userId: data.userId, key: data.key })) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const doc = new IdempotencyKey(data);
+    keys.push(doc);
+    return doc;
+  };
+  IdempotencyKey.findOne = async (filter) => find(filter) || null;
+  IdempotencyKey.findOneAndUpdate = async (filter, update) => find(filter)?.set(update.$set) || null;
+  IdempotencyKey.findByIdAndUpdate = async (id, update) => find({ _id: id })?.set(update.$set) || null;
+  IdempotencyKey.deleteOne = async (filter) => {
+    const doc = find(filter);
+    if (doc) keys.splice(keys.indexOf(doc), 1);
+  };
+});
+
+let runs = 0;
+const app = express();
+app.use(requestId, express.json());
+app.use((req, res, next) => { req.user = { id: req.get('X-User') || 'u1', role: 'customer' }; next(); });
+app.post('/jobs', idempotent, async (req, res) => {
+  await new Promise(resolve => setTimeout(resolve, Number(req.body.delayMs) || 0));
+  runs++;
+  res.set('ETag', `"job-${runs}"`).location(`/api/jobs/${runs}`).status(201).json({ run: runs, title: req.body.title });
+});
+app.post('/broken', idempotent, (req, res) => res.status(500).json({ message: 'Server error' }));
+
+const server = app.listen(0);
+after(() => server.close());
+
+const post = async (path, { key, user, body = {} } = {}) => {
+  const res = await fetch(`http://localhost:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }), ...(user && { 'X-User': user }) },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+test('a retry with the same key gets the stored response, headers included, without running again', async () => {
+  const first = await post('/jobs', { key: 'k1', body: { title: 'Fix tap' } });
+  const retry = await post('/jobs', { key: 'k1', body: { title: 'Fix tap' } });
+
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retry.headers.get('etag'), first.headers.get('etag'));
+  assert.equal(retry.headers.get('location'), first.headers.get('location'));
+  assert.equal(retry.headers.get('original-request-id'), first.headers.get('x-request-id'));
+  assert.notEqual(retry.headers.get('x-request-id'), first.headers.get('x-request-id'));
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(keys.length, 1);
+});
+
+test('reusing a key for a different payload is rejected', async () => {
+  await post('/jobs', { key: 'k2', body: { title: 'Fix tap' } });
+  const reused = await post('/jobs', { key: 'k2', body: { title: 'Paint fence' } });
+  assert.equal(reused.status, 422);
+});
+
+test('a duplicate sent while the first is still running gets 409', async () => {
+  const [first, duplicate] = await Promise.all([
+    post('/jobs', { key: 'k3', body: { title: 'Fix tap', delayMs: 100 } }),
+    new Promise(resolve => setTimeout(resolve, 20)).then(() => post('/jobs', { key: 'k3', body: { title: 'Fix tap', delayMs: 100 } })),
+  ]);
+  assert.equal(first.status, 201);
+  assert.equal(duplicate.status, 409);
+});
+
+test('a claim abandoned past its lock can be taken over', async () => {
+  await IdempotencyKey.create({
+    userId: 'u1',
+    key: 'k4',
+    requestHash: hashRequest({ method: 'POST', originalUrl: '/jobs', body: { title: 'Fix tap' } }),
+    lockedUntil: new Date(0),
+    expiresAt: new Date(Date.now() + 60000),
+  });
+
+  const res = await post('/jobs', { key: 'k4', body: { title: 'Fix tap' } });
+  assert.equal(res.status, 201);
+  assert.equal(keys[0].status, 'completed');
+});
+
+test('keys belong to one user', async () => {
+  const mine = await post('/jobs', { key: 'k5', body: { title: 'Fix tap' } });
+  const theirs = await post('/jobs', { key: 'k5', user: 'u2', body: { title: 'Fix tap' } });
+  assert.notEqual(theirs.body.run, mine.body.run);
+  assert.equal(theirs.headers.get('idempotent-replayed'), null);
+});
+
+test('server errors are not stored, so the request can be retried with the same key', async () => {
+  const res = await post('/broken', { key: 'k6' });
+  assert.equal(res.status, 500);
+  assert.equal(keys.length, 0);
+});
+
+test('requests without a key are not tracked, and malformed keys are refused', async () => {
+  const before = runs;
+  await post('/jobs', { body: { title: 'Fix tap' } });
+  await post('/jobs', { body: { title: 'Fix tap' } });
+  assert.equal(runs, before + 2);
+  assert.equal(keys.length, 0);
+
+  assert.equal((await post('/jobs', { key: 'has spaces' })).status, 400);
+});
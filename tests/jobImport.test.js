@@ -0,0 +1,122 @@
+// tests/jobImport.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import JobHistory from '../models/JobHistory.js';
+import SavedSearch from '../models/SavedSearch.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import { importJobs, parseImport } from '../services/jobImportService.js';
+import { setGeocoderProvider } from '../services/geoService.js';
+import { formatPostcode } from '../utils/postcode.js';
+
+mongoose.set('bufferCommands', false); // Anything not stubbed below fails instead of waiting for a database
+
+// Transactions run straight through
+mongoose.startSession = async () => ({
+  withTransaction: async (fn) => fn(),
+  abortTransaction: async () => {},
+  endSession: async () => {},
+});
+
+const place = (key) => ({ coordinates: [-0.12, 51.5], postcode: formatPostcode(key), precision: 'postcode' });
+setGeocoderProvider({
+  name: 'test',
+  lookup: async (key) => place(key),
+  lookupOutcode: async (key) => place(key),
+  bulkLookup: async (keys) => new Map(keys.map(key => [key, place(key)])),
+});
+
+// Jobs already in the database, and what each bulk write was asked to upsert
+let stored, writes, history;
+beforeEach(() => {
+  stored = [];
+  writes = [];
+  history = [];
+  Job.find = (filter) => ({
+    select: async () => stored.filter(j => j.customerId === filter.customerId && filter.importKey.$in.includes(j.importKey)),
+  });
+  Job.bulkWrite = async (ops) => {
+    writes.push(ops);
+    const upsertedIds = {};
+    ops.forEach((op, i) => {
+      const { customerId, importKey } = op.updateOne.filter;
+      if (stored.some(j => j.customerId === customerId && j.importKey === importKey)) return;
+      stored.push({ _id: op.updateOne.update.$setOnInsert._id, customerId, importKey });
+      upsertedIds[i] = op.updateOne.update.$setOnInsert._id;
+    });
+    return { upsertedIds };
+  };
+  JobHistory.findOne = () => ({ sort: () => ({ select: () => ({ session: () => ({ lean: async () => null }) }) }) });
+  JobHistory.create = async (entries) => {
+    history.push(...entries);
+    return entries;
+  };
+  SavedSearch.aggregate = async () => [];
+  WebhookSubscription.find = async () => [];
+});
+
+const csv = (...lines) => parseImport(['externalRef,title,description,category,postcode', ...lines].join('\n'), 'csv').rows;
+const row = (ref, title) => `${ref},${title},A job description long enough,plumbing,SW1A 1AA`;
+
+test('a job repeated in one file is imported once, by reference or by content', async () => {
+  const { summary, rows } = await importJobs(csv(
+    row('A-1', 'Fix the kitchen tap'),
+    row('A-1', 'Fix the kitchen tap again'),
+    row('', 'Replace the boiler'),
+    row('', 'Replace the boiler'),
+  ), { customerId: 'c1', actorId: 'c1' });
+
+  assert.deepEqual(rows.map(r => r.status), ['valid', 'duplicate', 'valid', 'duplicate']);
+  assert.match(rows[1].warnings[0], /Same job as row 1/);
+  assert.match(rows[3].warnings[0], /Same job as row 3/);
+  assert.equal(summary.duplicate, 2);
+});
+
+test('rows already imported for the customer are reported as existing and not written again', async () => {
+  const existingId = new mongoose.Types.ObjectId();
+  stored.push({ _id: existingId, customerId: 'c1', importKey: 'ref:A-1' });
+  stored.push({ _id: new mongoose.Types.ObjectId(), customerId: 'someone-else', importKey: 'ref:A-2' });
+
+  const { summary, rows } = await importJobs(csv(row('A-1', 'Fix the kitchen tap'), row('A-2', 'Paint the hallway')),
+    { customerId: 'c1', actorId: 'c1', commit: true });
+
+  assert.deepEqual(rows.map(r => r.status), ['exists', 'created']);
+  assert.equal(rows[0].jobId, existingId);
+  assert.equal(writes.length, 1);
+  assert.deepEqual(writes[0].map(op => op.updateOne.filter), [{ customerId: 'c1', importKey: 'ref:A-2' }]);
+  assert.equal(summary.created, 1);
+});
+
+test('importing the same file twice only creates jobs the first time', async () => {
+  const file = csv(row('A-1', 'Fix the kitchen tap'), row('', 'Replace the boiler'));
+
+  const first = await importJobs(file, { customerId: 'c1', actorId: 'c1', commit: true });
+  const second = await importJobs(file, { customerId: 'c1', actorId: 'c1', commit: true });
+
+  assert.deepEqual(first.rows.map(r => r.status), ['created', 'created']);
+  assert.deepEqual(second.rows.map(r => r.status), ['exists', 'exists']);
+  assert.deepEqual(second.rows.map(r => String(r.jobId)), first.rows.map(r => String(r.jobId)));
+  assert.equal(writes.length, 1);
+  assert.deepEqual(history.map(h => [h.action, String(h.jobId)]), first.rows.map(r => ['created', String(r.jobId)]));
+});
+
+test('a row another import created in the meantime is matched, not duplicated', async () => {
+  const racedId = new mongoose.Types.ObjectId();
+  Job.bulkWrite = async () => {
+    stored.push({ _id: racedId, customerId: 'c1', importKey: 'ref:A-1' });
+    return { upsertedIds: {} };
+  };
+
+  const { rows } = await importJobs(csv(row('A-1', 'Fix the kitchen tap')), { customerId: 'c1', actorId: 'c1', commit: true });
+  assert.equal(rows[0].status, 'exists');
+  assert.equal(rows[0].jobId, racedId);
+  assert.equal(history.length, 0);
+});
+
+test('invalid rows are reported with their errors and never imported', async () => {
+  const { rows } = await importJobs(csv('A-9,Tap,Too short,plumbing,not a postcode'), { customerId: 'c1', actorId: 'c1', commit: true });
+  assert.equal(rows[0].status, 'invalid');
+  assert.deepEqual(rows[0].errors.map(e => e.field).sort(), ['description', 'location.postcode', 'title']);
+  assert.equal(writes.length, 0);
+});
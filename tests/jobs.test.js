@@ -0,0 +1,228 @@
+// tests/jobs.test.js
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import JobHistory from '../models/JobHistory.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import { getJob, updateJob, deleteJob, acceptJob } from '../controllers/jobsController.js';
+import { jobEtag, jobListEtag, etagMatches } from '../utils/etag.js';
+
+mongoose.set('bufferCommands', false); // Anything not stubbed below fails instead of waiting for a database
+
+// One job in memory; conditional writes go through the real query middleware down to the collection
+let stored, reads, writes, history;
+const matchesFilter = (filter) => Object.entries(filter).every(([field, value]) => {
+  const actual = stored[field] ?? null;
+  if (value?.$in) return value.$in.includes(actual);
+  return String(actual) === String(value);
+});
+
+// Transactions run straight through, putting the job and its history back if they abort or throw
+mongoose.startSession = async () => {
+  let saved;
+  const rollback = () => ({ stored, history } = structuredClone(saved));
+  return {
+    withTransaction: async (fn) => {
+      saved = structuredClone({ stored, history });
+      try {
+        await fn();
+      } catch (err) {
+        rollback();
+        throw err;
+      }
+    },
+    abortTransaction: async () => rollback(),
+    endSession: async () => {},
+  };
+};
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    title: 'Fix the kitchen tap',
+    description: 'Tap drips all night long',
+    category: 'plumbing',
+    customerId: 'c1',
+    location: { type: 'Point', coordinates: [-0.12, 51.5], postcode: 'SW1A 1AA' },
+    urgency: 'flexible',
+    status: 'open',
+    visibility: 'visible',
+    deletedAt: null,
+    version: 1,
+  };
+  reads = null; // Set to a stale copy, served to the next read only, to simulate a change between the check and the write
+  writes = [];
+
+  Job.findOne = async () => {
+    const doc = reads || stored;
+    reads = null;
+    return doc.deletedAt ? null : Job.hydrate(structuredClone(doc));
+  };
+  Job.collection.findOneAndUpdate = async (filter, update) => {
+    writes.push({ filter, update });
+    if (!matchesFilter(filter)) return null;
+    Object.assign(stored, update.$set);
+    stored.version = (stored.version ?? 0) + update.$inc.version;
+    return structuredClone(stored);
+  };
+  history = [];
+  JobHistory.findOne = () => ({ sort: () => ({ select: () => ({ session: () => ({ lean: async () => history.at(-1) || null }) }) }) });
+  JobHistory.create = async (entries) => {
+    history.push(...entries);
+    return entries;
+  };
+  WebhookSubscription.find = async () => [];
+});
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => { req.user = { id: 'c1', role: 'customer' }; next(); });
+app.get('/jobs/:id', getJob);
+app.put('/jobs/:id', updateJob);
+app.delete('/jobs/:id', deleteJob);
+app.use('/jobs', express.Router().post('/:id/accept', acceptJob)); // Mounted like the real router, which links by req.baseUrl
+
+const server = app.listen(0);
+after(() => server.close());
+
+const send = async (method, headers = {}, body) => {
+  const res = await fetch(`http://localhost:${server.address().port}/jobs/${stored._id}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body),
+  });
+  return { status: res.status, etag: res.headers.get('etag'), body: res.status === 304 ? null : await res.json() };
+};
+
+test('every kind of update query bumps the job version', async () => {
+  const updates = [];
+  Job.collection.updateOne = async (filter, update) => { updates.push(update); return { matchedCount: 1, modifiedCount: 1 }; };
+  Job.collection.updateMany = async (filter, update) => { updates.push(update); return { matchedCount: 1, modifiedCount: 1 }; };
+
+  await Job.findOneAndUpdate({ _id: stored._id }, { urgency: 'emergency' });
+  await Job.updateOne({ _id: stored._id }, { $set: { urgency: 'emergency' }, $inc: { 'moderation.openReports': 1 } });
+  await Job.updateMany({ status: 'open' }, [{ $set: { expiresAt: '$createdAt' } }]);
+
+  assert.equal(writes[0].update.$inc.version, 1);
+  assert.deepEqual(updates[0].$inc, { 'moderation.openReports': 1, version: 1 });
+  assert.deepEqual(updates[1].at(-1), { $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } });
+});
+
+test('getJob sends an ETag from the version and answers 304 while it still matches', async () => {
+  const first = await send('GET');
+  assert.equal(first.status, 200);
+  assert.equal(first.etag, `"${stored._id}-1"`);
+
+  assert.equal((await send('GET', { 'If-None-Match': first.etag })).status, 304);
+  assert.equal((await send('GET', { 'If-None-Match': `"other", W/${first.etag}` })).status, 304);
+
+  stored.version = 2;
+  const changed = await send('GET', { 'If-None-Match': first.etag });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.etag, `"${stored._id}-2"`);
+});
+
+test('updates and deletes without If-Match are refused with 428', async () => {
+  assert.equal((await send('PUT', {}, { urgency: 'emergency' })).status, 428);
+  assert.equal((await send('DELETE')).status, 428);
+  assert.equal(writes.length, 0);
+});
+
+test('a stale If-Match gets 412 and the current ETag, and nothing is written', async () => {
+  const stale = `"${stored._id}-0"`;
+  const res = await send('PUT', { 'If-Match': stale }, { urgency: 'emergency' });
+  assert.equal(res.status, 412);
+  assert.equal(res.etag, `"${stored._id}-1"`);
+  assert.equal((await send('DELETE', { 'If-Match': stale })).status, 412);
+  assert.equal((await send('PUT', { 'If-Match': `W/"${stored._id}-1"` }, { urgency: 'emergency' })).status, 412);
+  assert.equal(writes.length, 0);
+});
+
+test('an update with the current ETag writes at that version and returns the next ETag', async () => {
+  const { etag } = await send('GET');
+  const res = await send('PUT', { 'If-Match': etag }, { urgency: 'emergency' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.etag, `"${stored._id}-2"`);
+  assert.equal(res.body.job.urgency, 'emergency');
+  assert.equal(writes[0].filter.version, 1);
+
+  // The other device still holds the first ETag
+  assert.equal((await send('PUT', { 'If-Match': etag }, { urgency: 'flexible' })).status, 412);
+  assert.equal(stored.urgency, 'emergency');
+});
+
+test('a change that lands between the check and the write still gets 412', async () => {
+  reads = structuredClone(stored);
+  stored.version = 2;
+
+  const res = await send('PUT', { 'If-Match': `"${stored._id}-1"` }, { urgency: 'emergency' });
+  assert.equal(res.status, 412);
+  assert.equal(res.etag, `"${stored._id}-2"`);
+  assert.equal(stored.urgency, 'flexible');
+});
+
+test('jobs saved before versioning match version 0', async () => {
+  delete stored.version;
+  const res = await send('DELETE', { 'If-Match': `"${stored._id}-0"` });
+  assert.equal(res.status, 200);
+  assert.deepEqual(writes[0].filter.version, { $in: [0, null] });
+  assert.ok(stored.deletedAt);
+});
+
+test('list ETags change when any job on the page changes', () => {
+  const jobs = [{ _id: 'a', version: 1 }, { _id: 'b', version: 4 }];
+  const etag = jobListEtag(jobs, { total: 2 });
+  assert.match(etag, /^W\/"/);
+  assert.equal(jobListEtag(structuredClone(jobs), { total: 2 }), etag);
+  assert.notEqual(jobListEtag([jobs[0], { ...jobs[1], version: 5 }], { total: 2 }), etag);
+  assert.notEqual(jobListEtag(jobs, { total: 3 }), etag);
+});
+
+test('If-Match compares strongly, If-None-Match weakly', () => {
+  const etag = jobEtag({ _id: 'a', version: 3 });
+  assert.ok(etagMatches(`"x", ${etag}`, etag));
+  assert.ok(etagMatches('*', etag));
+  assert.ok(!etagMatches(`W/${etag}`, etag));
+  assert.ok(etagMatches(`W/${etag}`, etag, { weak: true }));
+});
+
+test('the direct accept route points tradesmen to quotes and changes nothing', async () => {
+  const res = await fetch(`http://localhost:${server.address().port}/jobs/${stored._id}/accept`, { method: 'POST' });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).quotes, `/jobs/${stored._id}/quotes`);
+  assert.equal(writes.length, 0);
+  assert.equal(stored.status, 'open');
+});
+
+test('an edit is saved with its history entry, or not at all', async () => {
+  const { etag } = await send('GET');
+  const res = await send('PUT', { 'If-Match': etag }, { urgency: 'emergency' });
+  assert.equal(res.status, 200);
+  assert.equal(history.length, 1);
+  assert.equal(history[0].action, 'updated');
+  assert.deepEqual(history[0].changes, [{ field: 'urgency', from: 'flexible', to: 'emergency' }]);
+
+  JobHistory.create = async () => { throw new Error('History unavailable'); };
+  assert.equal((await send('PUT', { 'If-Match': res.etag }, { urgency: 'flexible' })).status, 500);
+  assert.equal(stored.urgency, 'emergency');
+  assert.equal(stored.version, 2);
+  assert.equal(history.length, 1);
+});
+
+test('a history entry that loses the race for its version number retries the whole change', async () => {
+  const create = JobHistory.create;
+  let clashes = 1;
+  JobHistory.create = async (entries) => {
+    if (clashes-- > 0) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { jobId: 1, version: 1 } });
+    return create(entries);
+  };
+
+  const res = await send('PUT', { 'If-Match': `"${stored._id}-1"` }, { urgency: 'emergency' });
+  assert.equal(res.status, 200);
+  assert.equal(stored.version, 2);
+  assert.equal(history.length, 1);
+  assert.equal(writes.length, 2);
+});
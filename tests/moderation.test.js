@@ -0,0 +1,106 @@
+// tests/moderation.test.js
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import JobHistory from '../models/JobHistory.js';
+import SavedSearch from '../models/SavedSearch.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import { moderateContent } from '../services/moderationService.js';
+import { approveJob } from '../controllers/moderationController.js';
+import { jobEvents } from '../services/jobEvents.js';
+
+mongoose.set('bufferCommands', false); // Anything not stubbed below fails instead of waiting for a database
+
+// Transactions run straight through
+mongoose.startSession = async () => ({
+  withTransaction: async (fn) => fn(),
+  abortTransaction: async () => {},
+  endSession: async () => {},
+});
+
+// One job in memory; the decision goes through the real query middleware down to the collection
+let stored, events;
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    title: 'Fix the kitchen tap',
+    description: 'Tap drips all night long',
+    category: 'plumbing',
+    customerId: 'c1',
+    location: { type: 'Point', coordinates: [-0.12, 51.5], postcode: 'SW1A 1AA' },
+    status: 'open',
+    visibility: 'pending_review',
+    moderation: { flags: [{ rule: 'links', field: 'description', action: 'hold' }], queuedAt: new Date(), publishedAt: null },
+    deletedAt: null,
+    version: 1,
+  };
+  events = [];
+
+  Job.findOne = async () => Job.hydrate(structuredClone(stored));
+  Job.collection.findOneAndUpdate = async (filter, update) => {
+    for (const [path, value] of Object.entries(update.$set)) {
+      const keys = path.split('.');
+      keys.slice(0, -1).reduce((obj, key) => obj[key], stored)[keys.at(-1)] = value;
+    }
+    stored.version += update.$inc.version;
+    return structuredClone(stored);
+  };
+  JobHistory.findOne = () => ({ sort: () => ({ select: () => ({ session: () => ({ lean: async () => null }) }) }) });
+  JobHistory.create = async (entries) => entries;
+  SavedSearch.aggregate = async () => [];
+  WebhookSubscription.find = async () => [];
+});
+jobEvents.on('event', (event) => events.push(event.type));
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => { req.user = { id: 'admin1', role: 'admin' }; next(); });
+app.post('/jobs/:id/approve', approveJob);
+
+const server = app.listen(0);
+after(() => server.close());
+
+const approve = async () => {
+  const res = await fetch(`http://localhost:${server.address().port}/jobs/${stored._id}/approve`, { method: 'POST' });
+  return res.status;
+};
+
+test('ordinary requests to get in touch are allowed', () => {
+  for (const description of ['Please call me when you arrive', 'Text me the day before so I can move the car']) {
+    const result = moderateContent({ description });
+    assert.equal(result.action, 'allow', description);
+    assert.deepEqual(result.flags, []);
+  }
+});
+
+test('contact details are redacted and attempts to move off the platform are held', () => {
+  const redacted = moderateContent({ description: 'Call me on 07700 900123' });
+  assert.equal(redacted.action, 'redact');
+  assert.equal(redacted.fields.description, 'Call me on [removed]');
+
+  const held = moderateContent({ title: 'Boiler service', description: 'Message me on WhatsApp, cash in hand' });
+  assert.equal(held.action, 'hold');
+  assert.deepEqual(held.flags, [{ rule: 'offPlatform', field: 'description', action: 'hold' }]);
+  assert.equal(held.fields.title, 'Boiler service');
+});
+
+test('a job held from the start is announced as created when it is first approved', async () => {
+  assert.equal(await approve(), 200);
+  assert.deepEqual(events, ['job.approved', 'job.created']);
+  assert.equal(stored.visibility, 'visible');
+  assert.ok(stored.moderation.publishedAt);
+
+  // Held again after an edit, then approved: it was already announced
+  events = [];
+  stored.visibility = 'pending_review';
+  assert.equal(await approve(), 200);
+  assert.deepEqual(events, ['job.approved']);
+});
+
+test('approving a visible job to clear its reports announces nothing new', async () => {
+  stored.visibility = 'visible';
+  assert.equal(await approve(), 200);
+  assert.deepEqual(events, ['job.approved']);
+});
@@ -0,0 +1,52 @@
+// tests/requestContext.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express, { Router } from 'express';
+import { requestMetrics, mountRouter } from '../middleware/requestContext.js';
+import { httpRequestDuration } from '../services/metricsService.js';
+
+// Capture the labels each finished request is recorded with
+const routes = [];
+httpRequestDuration.startTimer = () => ({ route }) => { routes.push(route); return 0; };
+
+const ok = (req, res) => res.json({ ok: true });
+
+const replies = Router({ mergeParams: true });
+replies.get('/:replyId', ok);
+
+const messages = Router({ mergeParams: true });
+messages.get('/', ok);
+messages.use(...mountRouter('/:messageId/replies', replies));
+
+const jobs = Router();
+jobs.use(...mountRouter('/:id/messages', messages));
+jobs.get('/:id/messages/unread', ok); // Only reached when the nested router matches nothing
+jobs.get('/:id', ok);
+
+const app = express();
+app.use(requestMetrics);
+app.use('/api/jobs', jobs);
+app.use((req, res) => res.status(404).json({ message: 'Route not found' }));
+
+const server = app.listen(0);
+after(() => server.close());
+
+const labelFor = async (path) => {
+  routes.length = 0;
+  const res = await fetch(`http://localhost:${server.address().port}${path}`);
+  await res.text();
+  await new Promise(resolve => setImmediate(resolve)); // 'finish' fires after the body is flushed
+  return routes[0];
+};
+
+test('routes inside routers mounted under IDs are labelled by pattern', async () => {
+  assert.equal(await labelFor('/api/jobs/65abc/messages'), '/api/jobs/:id/messages/');
+  assert.equal(await labelFor('/api/jobs/65def/messages'), '/api/jobs/:id/messages/');
+  assert.equal(await labelFor('/api/jobs/65abc/messages/m1/replies/r1'), '/api/jobs/:id/messages/:messageId/replies/:replyId');
+});
+
+test('routes in the parent keep their own label after a nested router passes', async () => {
+  assert.equal(await labelFor('/api/jobs/65abc/messages/unread'), '/api/jobs/:id/messages/unread');
+  assert.equal(await labelFor('/api/jobs/65abc'), '/api/jobs/:id');
+  assert.equal(await labelFor('/api/nothing'), 'unmatched');
+});
@@ -0,0 +1,30 @@
+// tests/validation.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { validateJobExport, checkValidation } from '../middleware/validation.js';
+
+const app = express();
+app.get('/export', validateJobExport, checkValidation, (req, res) => res.json({ ok: true }));
+
+const server = app.listen(0);
+after(() => server.close());
+
+const exportWith = async (query) => {
+  const res = await fetch(`http://localhost:${server.address().port}/export?${query}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('exports accept the shared filters and their own options', async () => {
+  const { status } = await exportWith('format=ndjson&q=tap&category=plumbing&urgency=emergency&status=open,completed&createdFrom=2026-01-01');
+  assert.equal(status, 200);
+});
+
+test('exports reject paging, sort and unknown parameters instead of ignoring them', async () => {
+  for (const query of ['sort=newest', 'page=2', 'limit=10', 'cursor=abc', 'colour=red']) {
+    const { status, body } = await exportWith(`format=csv&${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.errors[0].msg, 'Unsupported export parameter');
+    assert.deepEqual(body.errors[0].fields.map(f => f.path), [query.split('=')[0]]);
+  }
+});
@@ -0,0 +1,53 @@
+// utils/csv.js
+
+/**
+ * Parse CSV text with a header row into one object per line.
+ * Handles quoted cells containing commas, doubled quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Object} - { columns, rows } where each row is { line, values: { column: text } }
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [], cell = '', quoted = false, line = 1, recordLine = 1;
+
+  const endCell = () => { record.push(cell); cell = ''; };
+  const endRecord = () => {
+    endCell();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') quoted = true;
+    else if (char === ',') endCell();
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else cell += char;
+  }
+  if (quoted) throw new Error(`Unterminated quoted cell starting on line ${recordLine}`);
+  if (cell !== '' || record.length) endRecord();
+
+  if (records.length === 0) return { columns: [], rows: [] };
+  const [header, ...data] = records;
+  const columns = header.cells.map(c => c.replace(/^\uFEFF/, '').trim());
+
+  return {
+    columns,
+    rows: data.map(({ line: rowLine, cells }) => ({
+      line: rowLine,
+      values: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+    }))
+  };
+};
@@ -0,0 +1,64 @@
+// utils/cursor.js
+import mongoose from 'mongoose';
+
+/**
+ * Build an opaque pagination cursor pointing just after a result
+ * @param {string} sort - Sort name the cursor belongs to
+ * @param {*} value - The result's value for the sort field (Date, number, or null)
+ * @param {*} id - The result's _id, used to break ties
+ * @returns {string} - base64url cursor
+ */
+export const encodeCursor = (sort, value, id) => {
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @param {string} sort - Sort the request uses; a cursor from another sort is rejected
+ * @returns {Object|null} - { value, id } or null if the cursor is invalid
+ */
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Match stage condition for the results after a cursor, for a sort on (field, _id).
+ * MongoDB sorts null/missing values first, and range operators never match null,
+ * so nulls need their own branches.
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 ascending, -1 descending
+ * @param {Object} cursor - Decoded cursor { value, id }
+ * @returns {Object} - Query condition
+ */
+export const afterCursor = (field, direction, { value, id }) => {
+  const idOp = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const branches = [
+    { [field]: { [idOp]: value } },
+    { [field]: value, _id: { [idOp]: id } },
+  ];
+  if (direction === -1) branches.push({ [field]: null }); // Nulls come last when descending
+  return { $or: branches };
+};
@@ -0,0 +1,7 @@
+// utils/env.js
+
+// Read an integer setting from the environment, using the fallback when unset or invalid
+export const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
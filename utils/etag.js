@@ -0,0 +1,34 @@
+// utils/etag.js
+import crypto from 'crypto';
+
+/**
+ * Strong ETag for a job, which changes with every write to it
+ * @param {Object} job - Job document
+ * @returns {string} - Quoted ETag
+ */
+export const jobEtag = (job) => `"${job._id}-${job.version || 0}"`;
+
+/**
+ * Weak ETag for a page of jobs: any edit to a job on the page, or a job joining or leaving the results, changes it
+ * @param {Array} jobs - Job documents on the page
+ * @param {*} extra - Anything else the response depends on, e.g. the total count
+ * @returns {string} - Quoted weak ETag
+ */
+export const jobListEtag = (jobs, extra = null) => {
+  const versions = jobs.map(j => `${j._id}-${j.version || 0}`);
+  const hash = crypto.createHash('sha1').update(JSON.stringify([versions, extra])).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Check an If-Match or If-None-Match header against an ETag; "*" matches anything.
+ * If-Match needs a strong match, If-None-Match ignores the weak W/ prefix.
+ * @param {string} header - Comma-separated list of ETags
+ * @param {string} etag - Current ETag
+ * @param {Object} options - { weak } to compare weakly
+ * @returns {boolean} - Whether any listed ETag matches
+ */
+export const etagMatches = (header, etag, { weak = false } = {}) => {
+  const strip = (tag) => (weak ? tag.replace(/^W\//, '') : tag);
+  return header.split(',').map(t => t.trim()).some(t => t === '*' || (strip(t) === strip(etag) && (weak || !t.startsWith('W/'))));
+};
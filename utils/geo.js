@@ -0,0 +1,19 @@
+// utils/geo.js
+
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @param {Array<number>} a - [longitude, latitude]
+ * @param {Array<number>} b - [longitude, latitude]
+ * @returns {number} - Distance in meters
+ */
+export const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+export { EARTH_RADIUS_METERS };
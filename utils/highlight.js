@@ -0,0 +1,56 @@
+// utils/highlight.js
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search string into the words worth highlighting.
+ * Mirrors MongoDB $text syntax: quoted phrases are kept whole and -negated terms are dropped.
+ * @param {string} q - Raw search string
+ * @returns {Array<string>} - Terms to highlight
+ */
+export const getSearchTerms = (q = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = match[2] || match[4];
+    if (!negated && term.length > 1) terms.push(term);
+  }
+  return terms;
+};
+
+/**
+ * Build an HTML-safe snippet around the first match, with every match wrapped in <mark>.
+ * Terms match as word prefixes so "leak" also highlights "leaking", roughly like the stemmed text index.
+ * @param {string} text - Field value to highlight
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @param {number} maxLength - Approximate snippet length in characters
+ * @returns {string|null} - Highlighted snippet, or null if nothing matched
+ */
+export const highlight = (text, terms, maxLength = 160) => {
+  if (!text || terms.length === 0) return null;
+
+  const regex = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const first = regex.exec(text);
+  if (!first) return null;
+  regex.lastIndex = 0;
+
+  // Centre the window on the first match
+  const start = Math.max(0, first.index - Math.floor(maxLength / 3));
+  const end = Math.min(text.length, start + maxLength);
+  const window = text.slice(start, end);
+
+  let snippet = '';
+  let last = 0;
+  for (const m of window.matchAll(regex)) {
+    snippet += escapeHtml(window.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
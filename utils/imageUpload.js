@@ -0,0 +1,42 @@
+// utils/imageUpload.js
+import { getMediaStorage } from '../services/mediaStorage.js';
+
+/**
+ * Store a file received by multer in the configured media backend
+ * @param {Object} file - Multer file held in memory
+ * @param {string|null} caption - Optional caption
+ * @returns {Promise<Object>} - Gallery entry { public_id, url, originalname, caption }
+ */
+export const uploadJobImage = async (file, caption = null) => {
+  const stored = await getMediaStorage().save(file);
+  return {
+    public_id: stored.public_id,
+    url: stored.url,
+    originalname: file.originalname,
+    caption,
+  };
+};
+
+/**
+ * Delete a gallery image from storage; images added by URL have nothing to delete
+ * @param {Object} image - Gallery entry
+ * @returns {Promise<void>}
+ */
+export const destroyJobImage = async (image) => {
+  if (image?.public_id) await getMediaStorage().remove(image.public_id);
+};
+
+/**
+ * Store several files; if any fails, the ones already stored are removed again
+ * @param {Array} files - Multer files held in memory
+ * @param {Array<string>} captions - Captions matched to files by position
+ * @returns {Promise<Array>} - Gallery entries in the same order as the files
+ */
+export const uploadJobImages = async (files, captions = []) => {
+  const results = await Promise.allSettled(files.map((file, i) => uploadJobImage(file, captions[i] || null)));
+  const failed = results.find(r => r.status === 'rejected');
+  if (!failed) return results.map(r => r.value);
+
+  await Promise.allSettled(results.filter(r => r.status === 'fulfilled').map(r => destroyJobImage(r.value)));
+  throw failed.reason;
+};
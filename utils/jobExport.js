@@ -0,0 +1,83 @@
+// utils/jobExport.js
+import { Transform } from 'stream';
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Public columns of a job export, in order. Column names are part of the export format:
+ * add new ones at the end and never rename or remove one.
+ */
+export const EXPORT_COLUMNS = [
+  ['id', j => String(j._id)],
+  ['title', j => j.title],
+  ['description', j => j.description],
+  ['category', j => j.category],
+  ['status', j => j.status],
+  ['urgency', j => j.urgency || null],
+  ['postcode', j => j.location?.postcode || null],
+  ['budgetKind', j => j.budget?.kind || null],
+  ['budgetMinPence', j => j.budget?.min ?? null],
+  ['budgetMaxPence', j => j.budget?.max ?? null],
+  ['availability', j => (j.availability || []).map(w => `${iso(w.start)}/${iso(w.end)}`)],
+  ['imageCount', j => j.images?.length || 0],
+  ['customerId', j => j.customerId],
+  ['tradesmanId', j => j.tradesmanId || null],
+  ['createdAt', j => iso(j.createdAt)],
+  ['updatedAt', j => iso(j.updatedAt)],
+  ['acceptedAt', j => iso(j.acceptedAt)],
+  ['startedAt', j => iso(j.startedAt)],
+  ['completedAt', j => iso(j.completedAt)],
+  ['cancelledAt', j => iso(j.cancelledAt)],
+  ['cancellationReason', j => j.cancellationReason || null],
+  ['expiresAt', j => iso(j.expiresAt)],
+  ['expiredAt', j => iso(j.expiredAt)],
+  ['repostedFromId', j => (j.repostedFromId ? String(j.repostedFromId) : null)],
+];
+
+// Only the fields the columns read, so exports never load internal data
+export const EXPORT_FIELDS = "title description category status urgency location.postcode budget availability images._id customerId tradesmanId createdAt updatedAt acceptedAt startedAt completedAt cancelledAt cancellationReason expiresAt expiredAt repostedFromId";
+
+/**
+ * Map a job document to its public export record
+ * @param {Object} job - Lean job document
+ * @returns {Object} - { column: value } in EXPORT_COLUMNS order
+ */
+export const toExportRecord = (job) =>
+  Object.fromEntries(EXPORT_COLUMNS.map(([name, value]) => [name, value(job)]));
+
+// Quote a CSV cell when needed, and stop spreadsheets treating text as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream transform from job documents to CSV (with a header row) or NDJSON lines
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {Transform} - Object-mode writable side, text readable side
+ */
+export const createExportStream = (format) => {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(job, _encoding, callback) {
+      const record = toExportRecord(job);
+      if (format === 'ndjson') return callback(null, JSON.stringify(record) + '\n');
+
+      let out = '';
+      if (!headerWritten) {
+        out += EXPORT_COLUMNS.map(([name]) => name).join(',') + '\r\n';
+        headerWritten = true;
+      }
+      callback(null, out + Object.values(record).map(csvCell).join(',') + '\r\n');
+    },
+    flush(callback) {
+      // An empty CSV export still gets its header row
+      if (format === 'csv' && !headerWritten) this.push(EXPORT_COLUMNS.map(([name]) => name).join(',') + '\r\n');
+      callback();
+    }
+  });
+};
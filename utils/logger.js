@@ -0,0 +1,76 @@
+// utils/logger.js
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50 };
+
+// Logger settings, all overridable from the environment
+const config = {
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+  service: process.env.SERVICE_NAME || 'job-service',
+};
+
+// Values under keys like these never reach the logs
+const SENSITIVE_KEY = /pass(word)?|secret|token|authori[sz]ation|cookie|api[-_]?key|signature|credential/i;
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+// Per-request fields, e.g. { requestId }, added to every line logged while handling the request
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * Wrap a middleware so the request context survives it.
+ * Body parsers call next from stream callbacks, which would otherwise run outside the context.
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - Express middleware
+ */
+export const withRequestContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+// Turn a value into plain JSON, redacting sensitive keys and flattening errors and documents
+const serialise = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(config.level === 'debug' && { stack: value.stack }),
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString(); // ObjectId
+  if (typeof value.toObject === 'function') value = value.toObject();       // Mongoose document
+  if (Array.isArray(value)) return value.map(v => serialise(v, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? REDACTED : serialise(v, depth + 1)
+  ]));
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+
+  const line = {
+    level,
+    time: new Date().toISOString(),
+    service: config.service,
+    msg,
+    ...requestContext.getStore(),
+    ...serialise(fields),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+};
+
+/**
+ * Structured JSON logger, one line per call: { level, time, service, msg, requestId, ...fields }.
+ * Pass errors as { err } so they are logged with their name, message and code.
+ */
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
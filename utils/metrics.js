@@ -0,0 +1,134 @@
+// utils/metrics.js
+
+// Seconds; suits both fast database calls and slow third-party APIs
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+// Label values in a fixed order, so the same labels always map to the same series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+const seriesLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect; // Optional async function run before each scrape
+    this.series = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  lines() {
+    return [...this.series].map(([key, value]) => `${this.name}${formatLabels(seriesLabels(this.labelNames, key))} ${value}`);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels = {}, value) {
+    this.series.set(seriesKey(this.labelNames, labels), value);
+  }
+
+  lines() {
+    return [...this.series].map(([key, value]) => `${this.name}${formatLabels(seriesLabels(this.labelNames, key))} ${value}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to record the elapsed seconds
+   * @param {Object} labels - Labels known at the start
+   * @returns {Function} - end(extraLabels) records the observation and returns the seconds taken
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const lines = [];
+    for (const [key, { counts, sum, count }] of this.series) {
+      const labels = seriesLabels(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics rendered together in the Prometheus text format
+ */
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Run each metric's collector, then render everything
+   * @returns {Promise<string>} - Prometheus text exposition format, version 0.0.4
+   */
+  async render() {
+    await Promise.all(this.metrics.filter(m => m.collect).map(m => m.collect(m)));
+    return `${this.metrics.flatMap(m => [...m.header(), ...m.lines()]).join('\n')}\n`;
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,17 @@
+// utils/postcode.js
+
+// Uppercase with all whitespace removed, e.g. " sw1a 1aa " -> "SW1A1AA"
+export const normalisePostcode = (postcode) =>
+  typeof postcode === 'string' ? postcode.replace(/\s+/g, '').toUpperCase() : '';
+
+// The inward code is always the last three characters; everything before it is the outward code
+export const getOutcode = (postcode) => {
+  const normalised = normalisePostcode(postcode);
+  return normalised.length > 4 ? normalised.slice(0, -3) : normalised;
+};
+
+// Canonical display form, e.g. "SW1A1AA" -> "SW1A 1AA"
+export const formatPostcode = (postcode) => {
+  const normalised = normalisePostcode(postcode);
+  return normalised.length > 4 ? `${normalised.slice(0, -3)} ${normalised.slice(-3)}` : normalised;
+};
@@ -0,0 +1,31 @@
+// utils/webhookSignature.js
+import crypto from 'crypto';
+
+/**
+ * Sign a webhook body. The signed string is "<timestamp>.<body>" so a captured
+ * request cannot be replayed later with a new timestamp.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds, sent as X-RepairO-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Header value for X-RepairO-Signature, e.g. "sha256=ab12..."
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check a received webhook signature, for receivers written in Node
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-RepairO-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-RepairO-Signature header
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {boolean} - True if the signature matches and the timestamp is recent
+ */
+export const verifySignature = (secret, timestamp, body, signature, toleranceSeconds = 300) => {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};